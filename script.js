@@ -5,14 +5,9 @@
 // Removed GLTF-related variables
 let modelCache = {};
 
-// Enhanced configuration
+// Enhanced configuration (economy values live in simulation.js)
 const CONFIG = {
     SIMULATION_INTERVAL: 2500,
-    INITIAL_POPULATION: 1000,
-    INITIAL_GDP: 55000,
-    INITIAL_HAPPINESS: 70,
-    INITIAL_UNEMPLOYMENT: 5.0,
-    INITIAL_BUDGET: 10000,
     MOVEMENT_SPEED: 6,
     MOUSE_SENSITIVITY: 0.002,
     JUMP_FORCE: 9,
@@ -20,48 +15,27 @@ const CONFIG = {
     FOG_DENSITY: 0.025,
     MAX_PEOPLE: 150,
     BORDER_RADIUS: 50,
-    CITY_RADIUS: 45 // Keep people away from border
+    CITY_RADIUS: Simulation.CITY.RADIUS, // Keep people away from border
+    AUTOSAVE_INTERVAL: 5, // Simulated years between autosaves
+    SAVE_KEY_PREFIX: 'nationBuilderVR.save.',
+    SAVE_SLOTS: ['slot1', 'slot2', 'slot3'],
+    CAMPAIGN_KEY: 'nationBuilderVR.campaign', // Ids of completed scenarios
+    RUNS_KEY: 'nationBuilderVR.runs', // Finished runs for the leaderboard
+    MAX_RUNS: 200, // Oldest runs are dropped past this
+    ACHIEVEMENTS_KEY: 'nationBuilderVR.achievements', // Unlocks and best progress across runs
+    LEDGER_YEARS: 8 // Most recent years shown in the fiscal ledger
 };
 
-// Enhanced game state
+// Enhanced game state. `sim` is the headless simulation state; everything
+// else here only concerns the running page.
 const gameState = {
     started: false,
     paused: false,
     difficulty: 'medium',
-    population: CONFIG.INITIAL_POPULATION,
-    gdp: CONFIG.INITIAL_GDP,
-    happiness: CONFIG.INITIAL_HAPPINESS,
-    unemployment: CONFIG.INITIAL_UNEMPLOYMENT,
-    year: 2024,
-    budget: CONFIG.INITIAL_BUDGET,
-    score: 0,
     weather: 'sunny',
-    achievements: new Set(),
-    refugeeProgramStarted: null,
-    
-    policies: {
-        openBorders: false,
-        skilledWorker: false,
-        refugee: false,
-        family: false,
-        investor: false,
-        strict: false
-    },
-    
-    policyCosts: {
-        openBorders: 700,
-        skilledWorker: 600,
-        refugee: 900,
-        family: 400,
-        investor: -1500, // Negative = income
-        strict: 300
-    },
-    
-    difficultySettings: {
-        easy: { budget: 10000, happinessDrain: 1, unempMultiplier: 0.7, gdpMultiplier: 1.3 },
-        medium: { budget: 5000, happinessDrain: 2, unempMultiplier: 1.0, gdpMultiplier: 1.0 },
-        hard: { budget: 2000, happinessDrain: 3.5, unempMultiplier: 1.5, gdpMultiplier: 0.7 }
-    }
+    runId: null, // Identifies the run in the leaderboard; new per start or load
+    dismissedWarnings: [], // Advisor warnings the player closed, as 'failureId.severityId'
+    sim: Simulation.createInitialState({ difficulty: 'medium' })
 };
 
 // Three.js variables
@@ -86,359 +60,183 @@ let fps = 60, fpsFrames = 0, fpsTime = 0;
 // Mini-map
 let miniMapCtx;
 
+// History charts
+let chartsCtx;
+
 // Loading
 let loadingProgress = 0;
 
+// Policy card that the +/- keys adjust (last clicked or hotkeyed)
+let selectedPolicyId = null;
+
+// Simulation event subscribers, keyed by event type
+const simEventHandlers = {};
+
+// Leaderboard: which runs are listed (a difficulty or 'scenarios') and the
+// column they are ranked by
+const leaderboardView = { filter: 'hard', sort: 'score' };
+
 // ==============================================
 // SECTION 2: CORE GAME LOGIC
 // ==============================================
 
-// Budget and Economy System
-function calculateYearlyBudget() {
-    let totalIncome = 0;
-    let totalExpenses = 0;
-    
-    // INCOME
-    totalIncome += Math.floor(gameState.gdp * 0.25); // 25% tax rate
-    totalIncome += Math.floor(gameState.population * 0.5); // Tourism/export
-    
-    // POLICY INCOME (Investor visa gives money)
-    if (gameState.policies.investor) {
-        totalIncome += 1500;
-    }
-    
-    // EXPENSES
-    // Base infrastructure costs
-    totalExpenses += Math.floor(gameState.population * 0.8); // Healthcare, education, etc.
-    
-    // Policy maintenance costs
-    Object.keys(gameState.policies).forEach(policy => {
-        if (gameState.policies[policy]) {
-            const cost = gameState.policyCosts[policy];
-            if (cost > 0) totalExpenses += cost;
-        }
+// Simulation Events
+function onSimEvent(type, handler) {
+    if (!simEventHandlers[type]) simEventHandlers[type] = [];
+    simEventHandlers[type].push(handler);
+}
+
+function dispatchSimEvents(events) {
+    events.forEach(event => {
+        (simEventHandlers[event.type] || []).forEach(handler => handler(event));
     });
-    
-    // Unemployment benefits
-    const unemployed = Math.floor(gameState.population * (gameState.unemployment / 100));
-    totalExpenses += unemployed * 100;
-    
-    return totalIncome - totalExpenses;
+}
+
+function setupSimEventHandlers() {
+    onSimEvent('notification', event => showNotification(event.message, event.level));
+    onSimEvent('immigrants', event => spawnImmigrants(event.count, event.policy));
+    onSimEvent('effect', event => createParticleEffect(camera.position, event.color, event.count));
+    onSimEvent('randomEvent', event => logEvent(event.name, event.year));
+    onSimEvent('achievement', event => showAchievement(`${event.icon} ${event.name}!`));
+    onSimEvent('scenarioComplete', event => {
+        completeScenario(event.scenario);
+        showAchievement(`${event.icon} ${event.name} complete!`);
+    });
+    onSimEvent('gameOver', event => endGame(event.reason));
+    onSimEvent('victory', event => endGame(`${event.icon} ${event.name}!`));
+    onSimEvent('election', showElectionNight);
+    onSimEvent('yearSummary', showYearSummary);
+    onSimEvent('policyChanged', syncPolicyCards);
+    onSimEvent('fiscalChanged', updateFiscalPanel);
+    onSimEvent('debtChanged', updateFiscalPanel);
+    onSimEvent('decision', showDecision);
+    onSimEvent('decisionMade', event => {
+        hideDecision();
+        logEvent(`${event.name}: ${event.label}`, event.year);
+    });
+    onSimEvent('buildingOpened', event => raiseBuilding(event.building));
+    onSimEvent('buildingClosed', event => {
+        const building = findBuilding(event.id);
+        if (building) setBuildingVacant(building, true);
+    });
+    onSimEvent('buildingReopened', event => {
+        const building = findBuilding(event.id);
+        if (building) setBuildingVacant(building, false);
+    });
+    onSimEvent('buildingDemolished', event => demolishBuilding(event.id));
 }
 
 function simulateYear() {
-    if (!gameState.started || gameState.paused) return;
-    
-    gameState.year++;
-    
-    // Track changes for this year
-    let gdpChange = 0;
-    let happinessChange = 0;
-    let unemploymentChange = 0;
-    let populationChange = 0;
+    // Time stands still while a decision waits for the player
+    if (!gameState.started || gameState.paused || gameState.sim.pendingDecision) return;
     
-    const difficulty = gameState.difficultySettings[gameState.difficulty];
+    const result = Simulation.simulateYear(gameState.sim);
+    gameState.sim = result.state;
     
-    // BASE CHANGES (happens every year)
-    happinessChange -= difficulty.happinessDrain;
-    gdpChange += Math.floor(gameState.population / 100);
-    gdpChange += Math.floor(Math.random() * 800 - 400);
-    
-    // --- POLICY EFFECTS ---
-    
-    // 1. OPEN BORDERS
-    if (gameState.policies.openBorders) {
-        const immigrants = 60;
-        populationChange += immigrants;
-        gdpChange += 1200;
-        happinessChange -= 12;
-        unemploymentChange += 2.5;
-        spawnImmigrants(6, 'openBorders');
-    }
-    
-    // 2. SKILLED WORKER
-    if (gameState.policies.skilledWorker) {
-        const immigrants = 20;
-        populationChange += immigrants;
-        gdpChange += 2200;
-        unemploymentChange -= 1.2;
-        happinessChange -= 5;
-        
-        if (Math.random() < 0.15) {
-            populationChange -= 3;
-            showNotification("🧠 Skilled workers leaving for better opportunities abroad", "error");
-        }
-        
-        spawnImmigrants(4, 'skilledWorker');
-    }
-    
-    // 3. REFUGEE PROGRAM
-    if (gameState.policies.refugee) {
-        const immigrants = 30;
-        populationChange += immigrants;
-        happinessChange += 8;
-        gdpChange -= 400;
-        unemploymentChange += 1.5;
-        
-        if (gameState.refugeeProgramStarted && gameState.year >= gameState.refugeeProgramStarted + 2) {
-            gdpChange += 600;
-            unemploymentChange -= 1.0;
-            showNotification("🛡️ Refugees integrated successfully!", "success");
-        }
-        
-        spawnImmigrants(5, 'refugee');
-    }
-    
-    // 4. FAMILY REUNIFICATION
-    if (gameState.policies.family) {
-        const immigrants = 25;
-        populationChange += immigrants;
-        happinessChange += 15;
-        gdpChange -= 300;
-        
-        if (Math.random() < 0.3) {
-            populationChange += 5;
-            showNotification("👶 Family policies lead to baby boom!", "success");
-        }
-        
-        spawnImmigrants(5, 'family');
-    }
-    
-    // 5. INVESTOR VISA
-    if (gameState.policies.investor) {
-        const immigrants = 8;
-        populationChange += immigrants;
-        gdpChange += 1800;
-        happinessChange -= 8;
-        unemploymentChange -= 0.8;
-        
-        if (Math.random() < 0.1) {
-            gameState.budget -= 1000;
-            happinessChange -= 10;
-            showNotification("⚖️ Investor visa corruption scandal!", "error");
-        }
-        
-        spawnImmigrants(2, 'investor');
-    }
-    
-    // 6. STRICT CONTROLS
-    if (gameState.policies.strict) {
-        populationChange = Math.floor(populationChange * 0.5);
-        gdpChange = Math.floor(gdpChange * 0.7);
-        happinessChange += 20;
-        
-        const naturalDecline = Math.floor(gameState.population * 0.008);
-        populationChange -= naturalDecline;
-        gdpChange -= Math.floor(gameState.gdp * 0.01);
-        
-        if (naturalDecline > 0) {
-            showNotification("📉 Aging population: Workforce shrinking", "error");
-        }
-    }
-    
-    // --- APPLY ALL CHANGES ---
-    
-    gameState.population = Math.max(100, gameState.population + populationChange);
-    gameState.gdp = Math.max(1000, gameState.gdp + gdpChange);
-    gameState.happiness = Math.max(0, Math.min(100, gameState.happiness + happinessChange));
-    gameState.unemployment = Math.max(0, Math.min(40, gameState.unemployment + unemploymentChange));
-    
-    // Budget calculation
-    const budgetChange = calculateYearlyBudget();
-    gameState.budget += budgetChange;
-    
-    // Score
-    const newScore = Math.floor(
-        (populationChange * 2) + 
-        (gdpChange / 100) + 
-        (happinessChange * 3) - 
-        (Math.abs(unemploymentChange) * 20)
-    );
-    gameState.score += Math.max(-1000, newScore);
-    
-    // Random events
-    if (Math.random() < 0.25) {
-        triggerRandomEvent();
-    }
-    
-    checkAchievements();
+    dispatchSimEvents(result.events);
+    if (result.events.some(event => event.type === 'achievement')) recordAchievementProgress();
     updateHUD();
-    checkGameState();
+    updateAdvisor();
+    updateCharts();
+    updateIntegrationPanel();
+    updateFiscalPanel();
+    updateObjectivesPanel();
     updateWeather();
     
-    // Show year summary
-    showYearSummary(populationChange, gdpChange, happinessChange, unemploymentChange, budgetChange);
+    if (gameState.started && (gameState.sim.year - Simulation.SIM_CONFIG.START_YEAR) % CONFIG.AUTOSAVE_INTERVAL === 0) {
+        autosave();
+    }
 }
 
-function showYearSummary(popChange, gdpChange, happinessChange, unempChange, budgetChange) {
-    const summary = [
-        `📅 YEAR ${gameState.year} REPORT`,
+function showYearSummary(summary) {
+    const { year, populationChange, births, deaths, gdpChange, happinessChange, unemploymentChange, budgetChange } = summary;
+    const lines = [
+        `📅 YEAR ${year} REPORT`,
         `💰 Budget: ${budgetChange > 0 ? '+' : ''}$${budgetChange.toLocaleString()}`,
-        `👥 Population: ${popChange > 0 ? '+' : ''}${popChange}`,
+        `👥 Population: ${populationChange > 0 ? '+' : ''}${populationChange} (👶 ${births} born, ⚰️ ${deaths} died)`,
         `📈 GDP: ${gdpChange > 0 ? '+' : ''}$${gdpChange.toLocaleString()}`,
         `😊 Happiness: ${happinessChange > 0 ? '+' : ''}${happinessChange}%`,
-        `💼 Unemployment: ${unempChange > 0 ? '+' : ''}${unempChange.toFixed(1)}%`
+        `💼 Unemployment: ${unemploymentChange > 0 ? '+' : ''}${unemploymentChange.toFixed(1)}%`
     ].join('\n');
     
-    showNotification(summary, 'info');
+    showNotification(lines, 'info');
 }
 
 // Policy Management
-function togglePolicy(policyName) {
+function applyPolicyAction(action) {
     if (!gameState.started || gameState.paused) return;
     
-    const cost = gameState.policyCosts[policyName];
-    const currentState = gameState.policies[policyName];
+    selectedPolicyId = action.policy;
     
-    if (!currentState && cost > gameState.budget) {
-        showNotification(`Insufficient Budget! Need $${cost}`, 'error');
-        return;
-    }
-    
-    gameState.policies[policyName] = !currentState;
-    
-    if (policyName === 'refugee' && !currentState) {
-        gameState.refugeeProgramStarted = gameState.year;
-        showNotification('🛡️ Refugee Program: Integration takes 2 years', 'info');
-    }
-    
-    const btn = document.querySelector(`[data-policy="${policyName}"]`);
-    if (gameState.policies[policyName]) {
-        btn.classList.add('active');
-        showNotification(`${formatPolicyName(policyName)} Enabled`, 'success');
-        gameState.budget -= cost;
-        spawnImmigrants(getImmigrantCount(policyName), policyName);
-    } else {
-        btn.classList.remove('active');
-        showNotification(`${formatPolicyName(policyName)} Disabled`, 'info');
-    }
+    const result = Simulation.applyActions(gameState.sim, [action]);
+    gameState.sim = result.state;
     
+    dispatchSimEvents(result.events);
+    syncPolicyCards();
     updateHUD();
+    updateAdvisor();
+    updateFiscalPanel();
 }
 
-function formatPolicyName(policyName) {
-    return policyName
-        .replace(/([A-Z])/g, ' $1')
-        .replace(/^./, str => str.toUpperCase());
+function togglePolicy(policyId) {
+    applyPolicyAction({ type: 'togglePolicy', policy: policyId });
 }
 
-function getImmigrantCount(policyName) {
-    const counts = {
-        openBorders: 6,
-        skilledWorker: 4,
-        refugee: 5,
-        family: 5,
-        investor: 2,
-        strict: 0
-    };
-    return counts[policyName] || 0;
-}
-
-// Random Events
-function triggerRandomEvent() {
-    const events = [
-        {
-            name: 'Economic Boom',
-            weight: 0.25,
-            effect: () => {
-                const bonus = Math.floor(Math.random() * 3000 + 2000);
-                gameState.gdp += bonus;
-                gameState.happiness += 5;
-                showNotification(`🚀 ECONOMIC BOOM! GDP +$${bonus.toLocaleString()}`, 'success');
-                createParticleEffect(camera.position, 0xffcc00, 25);
-            }
-        },
-        {
-            name: 'Natural Disaster',
-            weight: 0.2,
-            effect: () => {
-                const severity = Math.random();
-                let gdpLoss, happinessLoss, populationLoss, budgetCost;
-                
-                if (severity < 0.33) {
-                    gdpLoss = 1200;
-                    happinessLoss = 8;
-                    populationLoss = Math.floor(gameState.population * 0.002);
-                    budgetCost = 500;
-                    showNotification('🌧️ Minor Flooding!', 'error');
-                } else if (severity < 0.66) {
-                    gdpLoss = 2500;
-                    happinessLoss = 15;
-                    populationLoss = Math.floor(gameState.population * 0.005);
-                    budgetCost = 1000;
-                    showNotification('🌪️ Severe Storm!', 'error');
-                } else {
-                    gdpLoss = 5000;
-                    happinessLoss = 25;
-                    populationLoss = Math.floor(gameState.population * 0.01);
-                    budgetCost = 2000;
-                    showNotification('🔥 MAJOR EARTHQUAKE!', 'error');
-                }
-                
-                gameState.gdp -= gdpLoss;
-                gameState.happiness -= happinessLoss;
-                gameState.population = Math.max(100, gameState.population - populationLoss);
-                gameState.budget -= budgetCost;
-                
-                createParticleEffect(camera.position, 0xff0000, 30);
-                
-                if (populationLoss > 0) {
-                    showNotification(`💔 ${populationLoss.toLocaleString()} lives lost`, 'error');
-                }
-            }
-        },
-        {
-            name: 'Tech Breakthrough',
-            weight: 0.15,
-            effect: () => {
-                gameState.unemployment = Math.max(0, gameState.unemployment - 2.5);
-                gameState.gdp += 1500;
-                gameState.budget -= 300;
-                showNotification('💡 TECH BREAKTHROUGH!', 'success');
-                createParticleEffect(camera.position, 0x00ffff, 20);
-            }
-        },
-        {
-            name: 'Cultural Festival',
-            weight: 0.1,
-            effect: () => {
-                gameState.happiness += 12;
-                gameState.budget -= 200;
-                showNotification('🎭 CULTURAL FESTIVAL!', 'success');
-                createParticleEffect(camera.position, 0xff69b4, 18);
-            }
-        },
-        {
-            name: 'Trade War',
-            weight: 0.1,
-            effect: () => {
-                gameState.gdp -= 1800;
-                gameState.unemployment += 1.5;
-                showNotification('⚔️ TRADE WAR!', 'error');
-                createParticleEffect(camera.position, 0x8B0000, 15);
-            }
-        }
-    ];
+// Steps a quota policy up or down by its registry step
+function adjustPolicyQuota(policyId, direction) {
+    const policy = Simulation.getPolicy(policyId);
+    if (!policy || !policy.quota) return;
     
-    const totalWeight = events.reduce((sum, event) => sum + event.weight, 0);
-    let random = Math.random() * totalWeight;
+    const level = gameState.sim.policies[policyId] + direction * policy.quota.step;
+    applyPolicyAction({ type: 'setPolicyLevel', policy: policyId, level: level });
+}
+
+// Cards and the hotkey hint are built from the policy registry
+function renderPolicyCards() {
+    const grid = document.getElementById('policyGrid');
+    grid.innerHTML = Simulation.POLICIES.map((policy, index) => `
+        <div class="policy-card" data-policy="${policy.id}">
+            <div class="policy-hotkey">${index + 1}</div>
+            <div class="policy-icon">${policy.icon}</div>
+            <div class="policy-name">${policy.name}</div>
+            ${policy.quota ? `
+            <div class="policy-quota">
+                <button class="quota-btn" data-step="-1">−</button>
+                <span class="quota-value">0/yr</span>
+                <button class="quota-btn" data-step="1">+</button>
+            </div>` : ''}
+            <div class="policy-cost">${formatPolicyCost(policy)}</div>
+        </div>
+    `).join('');
     
-    for (const event of events) {
-        if (random < event.weight) {
-            event.effect();
-            logEvent(event.name);
-            break;
+    document.getElementById('policyHotkeys').textContent = `1-${Simulation.POLICIES.length}`;
+    document.getElementById('previewHotkeys').textContent = `Shift + 1-${Simulation.POLICIES.length}`;
+    syncPolicyCards();
+}
+
+function syncPolicyCards() {
+    document.querySelectorAll('.policy-card').forEach(card => {
+        const policy = Simulation.getPolicy(card.dataset.policy);
+        const level = gameState.sim.policies[policy.id];
+        
+        card.classList.toggle('active', level > 0);
+        card.classList.toggle('selected', policy.id === selectedPolicyId);
+        card.classList.toggle('locked', Simulation.getCoalitionDemand(gameState.sim, policy.id) !== undefined);
+        card.querySelector('.policy-cost').textContent = formatPolicyCost(policy, level);
+        
+        const quotaValue = card.querySelector('.quota-value');
+        if (quotaValue) {
+            quotaValue.textContent = `${level}/yr`;
         }
-        random -= event.weight;
-    }
+    });
 }
 
-function logEvent(eventName) {
+function logEvent(eventName, year) {
     const eventLog = document.getElementById('eventLog');
     if (eventLog) {
         const entry = document.createElement('div');
         entry.className = 'event-log-entry';
-        entry.textContent = `Year ${gameState.year}: ${eventName}`;
+        entry.textContent = `Year ${year}: ${eventName}`;
         eventLog.prepend(entry);
         
         if (eventLog.children.length > 10) {
@@ -447,37 +245,49 @@ function logEvent(eventName) {
     }
 }
 
-// Achievement System
-function checkAchievements() {
-    const achievements = [
-        { condition: () => gameState.population >= 5000, name: 'Population Boom', id: 'pop_5000', icon: '👥' },
-        { condition: () => gameState.population >= 10000, name: 'Mega Nation', id: 'pop_10000', icon: '🏙️' },
-        { condition: () => gameState.gdp >= 25000, name: 'Economic Powerhouse', id: 'gdp_25000', icon: '💰' },
-        { condition: () => gameState.gdp >= 50000, name: 'Global Leader', id: 'gdp_50000', icon: '🌍' },
-        { condition: () => gameState.happiness >= 90, name: 'Utopia', id: 'happy_90', icon: '😊' },
-        { condition: () => gameState.unemployment <= 2, name: 'Full Employment', id: 'unemp_2', icon: '💼' },
-        { condition: () => gameState.year >= 2028, name: 'Decade of Progress', id: 'year_10', icon: '📅' },
-        { condition: () => gameState.score >= 10000, name: 'Master Builder', id: 'score_10k', icon: '⭐' }
-    ];
-    
-    achievements.forEach(achievement => {
-        if (!gameState.achievements.has(achievement.id) && achievement.condition()) {
-            gameState.achievements.add(achievement.id);
-            showAchievement(`${achievement.icon} ${achievement.name}!`);
-        }
-    });
+// Decisions
+// Some events wait for the player: the modal lists the options with what
+// they do (or a hint), and the number keys pick one even while the mouse
+// is captured
+
+function showDecision() {
+    const decision = gameState.sim.pendingDecision;
+    if (!decision) return;
+    
+    const event = Simulation.getRandomEvent(decision.event);
+    document.getElementById('decisionTitle').textContent = `${event.name} (${decision.year})`;
+    document.getElementById('decisionDescription').textContent = event.description;
+    document.getElementById('decisionOptions').innerHTML = event.options.map((option, index) => `
+        <button class="decision-option" data-option="${index}">
+            <span class="controls-key">${index + 1}</span>
+            <span>
+                <div class="decision-option-label">${option.label}</div>
+                <div class="decision-option-hint">${Simulation.describeOption(option)}</div>
+            </span>
+        </button>
+    `).join('');
+    document.getElementById('decisionModal').classList.add('active');
 }
 
-function checkGameState() {
-    if (gameState.happiness <= 0) {
-        endGame('💔 Your nation collapsed due to extreme unhappiness!');
-    } else if (gameState.unemployment >= 40) {
-        endGame('📉 Economic collapse! Unemployment reached critical levels!');
-    } else if (gameState.budget < -15000) {
-        endGame('💸 Bankruptcy! The nation is in massive debt!');
-    } else if (gameState.population <= 500) {
-        endGame('⚠️ Population crisis! Not enough citizens!');
-    }
+function hideDecision() {
+    document.getElementById('decisionModal').classList.remove('active');
+}
+
+function chooseDecisionOption(index) {
+    if (!gameState.started || !gameState.sim.pendingDecision) return;
+    
+    const result = Simulation.applyActions(gameState.sim, [{ type: 'chooseOption', option: index }]);
+    gameState.sim = result.state;
+    
+    dispatchSimEvents(result.events);
+    updateHUD();
+    updateAdvisor();
+    updateIntegrationPanel();
+    updateFiscalPanel();
+    updateObjectivesPanel();
+    
+    // The year resumes from the start once the player has chosen
+    lastSimulationTime = Date.now();
 }
 
 // ==============================================
@@ -617,59 +427,105 @@ function createGates() {
     });
 }
 
-function createBuildings() {
-    const buildingTypes = [
-        { color: 0x3498db, name: 'Residential' },
-        { color: 0xe74c3c, name: 'Commercial' },
-        { color: 0x2ecc71, name: 'Government' },
-        { color: 0xf39c12, name: 'Industrial' },
-        { color: 0x9b59b6, name: 'Tech' }
-    ];
+// The layout lives in the simulation state (see generateCityLayout and
+// growCity), so the city's sectors can provide its jobs
+function createBuildings(layout) {
+    layout.forEach(spec => createBuilding(spec));
+}
+
+function createBuilding(spec) {
+    const buildingColors = {
+        Residential: 0x3498db,
+        Commercial: 0xe74c3c,
+        Government: 0x2ecc71,
+        Industrial: 0xf39c12,
+        Tech: 0x9b59b6
+    };
+    const { width, height, depth } = spec;
     
-    for (let i = 0; i < 25; i++) {
-        const type = buildingTypes[Math.floor(Math.random() * buildingTypes.length)];
-        const height = Math.random() * 12 + 6;
-        const width = Math.random() * 5 + 3;
-        const depth = Math.random() * 5 + 3;
-        
-        const buildingGeometry = new THREE.BoxGeometry(width, height, depth);
-        const buildingMaterial = new THREE.MeshLambertMaterial({ 
-            color: type.color,
+    const buildingGeometry = new THREE.BoxGeometry(width, height, depth);
+    const buildingMaterial = new THREE.MeshLambertMaterial({ 
+        color: buildingColors[spec.typeName],
+        transparent: true,
+        opacity: 0.9
+    });
+    const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
+    
+    building.position.set(spec.x, height / 2, spec.z);
+    
+    building.castShadow = true;
+    building.receiveShadow = true;
+    building.userData = { type: 'building', name: `${spec.typeName} Building`, interactive: true, spec: spec };
+    
+    // Windows
+    spec.windows.forEach((lit, w) => {
+        const windowGeometry = new THREE.PlaneGeometry(width * 0.8, 0.5);
+        const windowMaterial = new THREE.MeshBasicMaterial({ 
+            color: lit ? 0xffff00 : 0x333333,
             transparent: true,
-            opacity: 0.9
+            opacity: 0.8
         });
-        const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
-        
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.random() * 35 + 8;
-        building.position.set(
-            Math.cos(angle) * radius,
-            height / 2,
-            Math.sin(angle) * radius
-        );
-        
-        building.castShadow = true;
-        building.receiveShadow = true;
-        building.userData = { type: 'building', name: `${type.name} Building`, interactive: true };
-        
-        // Windows
-        const windowCount = Math.floor(height / 2);
-        for (let w = 0; w < windowCount; w++) {
-            const windowGeometry = new THREE.PlaneGeometry(width * 0.8, 0.5);
-            const windowMaterial = new THREE.MeshBasicMaterial({ 
-                color: Math.random() > 0.3 ? 0xffff00 : 0x333333,
-                transparent: true,
-                opacity: 0.8
-            });
-            const window1 = new THREE.Mesh(windowGeometry, windowMaterial);
-            window1.position.set(0, -height/2 + 1 + w * 2, depth/2 + 0.01);
-            building.add(window1);
-        }
-        
-        scene.add(building);
-        buildings.push(building);
-        interactiveObjects.push(building);
+        const window1 = new THREE.Mesh(windowGeometry, windowMaterial);
+        window1.position.set(0, -height/2 + 1 + w * 2, depth/2 + 0.01);
+        building.add(window1);
+    });
+    
+    if (spec.vacantSince !== null) {
+        setBuildingVacant(building, true, false);
     }
+    
+    scene.add(building);
+    buildings.push(building);
+    interactiveObjects.push(building);
+    
+    return building;
+}
+
+function findBuilding(id) {
+    return buildings.find(building => building.userData.spec.id === id);
+}
+
+// New buildings rise out of the ground
+function raiseBuilding(spec) {
+    const building = createBuilding(spec);
+    building.scale.y = 0.01;
+    building.position.y = 0;
+    gsap.to(building.scale, { y: 1, duration: 1.5, ease: "power2.out" });
+    gsap.to(building.position, { y: spec.height / 2, duration: 1.5, ease: "power2.out" });
+}
+
+// Empty buildings fade and go dark; reopened ones light up again
+function setBuildingVacant(building, vacant, animate = true) {
+    const spec = building.userData.spec;
+    building.userData.name = `${spec.typeName} Building${vacant ? ' (empty)' : ''}`;
+    
+    gsap.to(building.material, { opacity: vacant ? 0.35 : 0.9, duration: animate ? 1.2 : 0 });
+    building.children.forEach((window1, w) => {
+        window1.material.color.setHex(!vacant && spec.windows[w] ? 0xffff00 : 0x333333);
+    });
+}
+
+function demolishBuilding(id) {
+    const building = findBuilding(id);
+    if (!building) return;
+    
+    buildings = buildings.filter(other => other !== building);
+    interactiveObjects = interactiveObjects.filter(object => object !== building);
+    
+    gsap.to(building.scale, { y: 0.01, duration: 1, ease: "power2.in" });
+    gsap.to(building.position, {
+        y: 0,
+        duration: 1,
+        ease: "power2.in",
+        onComplete: () => scene.remove(building)
+    });
+}
+
+function rebuildCity(layout) {
+    buildings.forEach(building => scene.remove(building));
+    interactiveObjects = interactiveObjects.filter(object => !buildings.includes(object));
+    buildings = [];
+    createBuildings(layout);
 }
 
 function createMonument() {
@@ -839,17 +695,10 @@ function createGeometricPerson(group, color) {
     group.add(mouth);
 }
 
+// Immigrants wear their policy's color from the registry; citizens are blue
 function getColorForType(type) {
-    const colors = {
-        citizen: 0x3498db,
-        openBorders: 0xe74c3c,
-        skilled: 0x9b59b6,
-        skilledWorker: 0x9b59b6,
-        refugee: 0xf39c12,
-        family: 0xe91e63,
-        investor: 0x2ecc71
-    };
-    return colors[type] || 0x3498db;
+    const policy = Simulation.getPolicy(type);
+    return policy ? policy.color : 0x3498db;
 }
 
 // Enhanced Person Movement with Roaming
@@ -1022,6 +871,30 @@ function spawnImmigrants(count, type) {
     }
 }
 
+function removeAllPeople() {
+    people.forEach(person => scene.remove(person));
+    interactiveObjects = interactiveObjects.filter(object => !people.includes(object));
+    people = [];
+}
+
+function resetPeople() {
+    removeAllPeople();
+    createInitialPopulation();
+}
+
+function getPeopleSnapshot() {
+    return people.map(person => ({
+        type: person.userData.personType,
+        x: Math.round(person.position.x * 100) / 100,
+        z: Math.round(person.position.z * 100) / 100
+    }));
+}
+
+function restorePeople(snapshot) {
+    removeAllPeople();
+    snapshot.forEach(person => createPerson(person.x, person.z, person.type));
+}
+
 // ==============================================
 // SECTION 4: UI & CONTROLS
 // ==============================================
@@ -1098,6 +971,294 @@ function updateMiniMap() {
     ctx.stroke();
 }
 
+// History Charts
+const CHART_SERIES = [
+    { key: 'population', label: '👥 Population', color: '#3498db' },
+    { key: 'gdp', label: '💰 GDP', color: '#00ff88' },
+    { key: 'happiness', label: '😊 Happiness', color: '#ffcc00' },
+    { key: 'unemployment', label: '📊 Unemployment', color: '#ff6b6b' },
+    { key: 'budget', label: '💵 Budget', color: '#f39c12' },
+    { key: 'score', label: '⭐ Score', color: '#FFD700' }
+];
+
+function setupCharts() {
+    const chartsCanvas = document.getElementById('chartsCanvas');
+    chartsCtx = chartsCanvas.getContext('2d');
+    chartsCanvas.width = 420;
+    chartsCanvas.height = 300;
+}
+
+function toggleCharts() {
+    const panel = document.getElementById('chartsPanel');
+    panel.classList.toggle('active');
+    updateCharts();
+}
+
+function updateCharts() {
+    const panel = document.getElementById('chartsPanel');
+    if (!chartsCtx || !panel.classList.contains('active')) return;
+    
+    const ctx = chartsCtx;
+    const canvas = ctx.canvas;
+    const history = gameState.sim.history;
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    const columns = 2;
+    const cellWidth = canvas.width / columns;
+    const cellHeight = canvas.height / Math.ceil(CHART_SERIES.length / columns);
+    
+    CHART_SERIES.forEach((series, index) => {
+        const x = (index % columns) * cellWidth;
+        const y = Math.floor(index / columns) * cellHeight;
+        drawLineChart(ctx, history, series, x + 6, y + 6, cellWidth - 12, cellHeight - 12);
+    });
+}
+
+// `highlightYears` get a marker line, e.g. a run's turning points
+function drawLineChart(ctx, history, series, x, y, width, height, highlightYears = []) {
+    const values = history.map(record => record[series.key]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    
+    const plotTop = y + 18;
+    const plotHeight = height - 24;
+    
+    // Background
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+    ctx.fillRect(x, y, width, height);
+    
+    // Label and latest value
+    const latest = values[values.length - 1];
+    ctx.fillStyle = '#aaa';
+    ctx.font = '11px Segoe UI, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(series.label, x + 4, y + 12);
+    ctx.fillStyle = series.color;
+    ctx.textAlign = 'right';
+    ctx.fillText(Math.round(latest).toLocaleString(), x + width - 4, y + 12);
+    
+    // Years with random events
+    ctx.fillStyle = 'rgba(255, 107, 107, 0.6)';
+    history.forEach((record, i) => {
+        if (record.events.length > 0) {
+            const px = x + (values.length > 1 ? (i / (values.length - 1)) * width : width / 2);
+            ctx.fillRect(px - 1, y + height - 3, 2, 3);
+        }
+    });
+    
+    ctx.fillStyle = 'rgba(255, 215, 0, 0.35)';
+    history.forEach((record, i) => {
+        if (highlightYears.includes(record.year)) {
+            const px = x + (values.length > 1 ? (i / (values.length - 1)) * width : width / 2);
+            ctx.fillRect(px - 1, plotTop, 2, plotHeight);
+        }
+    });
+    
+    // Line
+    ctx.strokeStyle = series.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+        const px = x + (values.length > 1 ? (i / (values.length - 1)) * width : width / 2);
+        const py = plotTop + plotHeight - ((value - min) / range) * plotHeight;
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+}
+
+// Integration Panel
+// Immigrant cohorts still integrating, grouped by the policy that brought
+// them in, plus how many from each policy have become full citizens
+
+function toggleIntegrationPanel() {
+    const panel = document.getElementById('integrationPanel');
+    panel.classList.toggle('active');
+    updateIntegrationPanel();
+}
+
+function updateIntegrationPanel() {
+    const panel = document.getElementById('integrationPanel');
+    if (!panel.classList.contains('active')) return;
+    
+    const { immigrantCohorts, integrated } = gameState.sim;
+    const sections = Simulation.POLICIES
+        .filter(policy => policy.integration)
+        .map(policy => {
+            const cohorts = immigrantCohorts.filter(cohort => cohort.policy === policy.id);
+            if (cohorts.length === 0 && !integrated[policy.id]) return '';
+            
+            const rows = cohorts.slice().reverse().map(cohort => {
+                const percent = Math.round(cohort.integration * 100);
+                return `
+                    <div class="integration-row">
+                        <span>${cohort.year} • ${cohort.size.toLocaleString()} people</span>
+                        <span>${percent}%</span>
+                    </div>
+                    <div class="progress-bar integration-bar">
+                        <div class="progress-fill" style="width: ${percent}%; background: #${policy.color.toString(16).padStart(6, '0')};"></div>
+                    </div>
+                `;
+            }).join('');
+            
+            return `
+                <div class="integration-policy">
+                    <div class="integration-policy-name">${policy.icon} ${policy.name}</div>
+                    ${rows}
+                    <div class="integration-done">✓ ${(integrated[policy.id] || 0).toLocaleString()} fully integrated</div>
+                </div>
+            `;
+        })
+        .join('');
+    
+    const average = Math.round(Simulation.getAverageIntegration(immigrantCohorts) * 100);
+    document.getElementById('integrationList').innerHTML = sections
+        ? `<div class="integration-summary">Average integration: ${average}%</div>${sections}`
+        : '<div class="integration-summary">No immigrants yet. Enable an immigration policy.</div>';
+}
+
+// Fiscal Panel
+// Income tax and public service funding, with what they cost or bring in
+// and their yearly effect on the economy and mood
+
+function toggleFiscalPanel() {
+    const panel = document.getElementById('fiscalPanel');
+    panel.classList.toggle('active');
+    updateFiscalPanel();
+}
+
+function adjustFiscal(setting, direction) {
+    const { FISCAL } = Simulation;
+    const { fiscal } = gameState.sim;
+    applyFiscalAction(setting === 'tax'
+        ? { type: 'setTaxRate', rate: fiscal.taxRate + direction * FISCAL.TAX.step }
+        : { type: 'setSpending', service: setting, level: fiscal.spending[setting] + direction * FISCAL.LEVEL.step });
+}
+
+function applyFiscalAction(action) {
+    if (!gameState.started || gameState.paused) return;
+
+    const result = Simulation.applyActions(gameState.sim, [action]);
+    gameState.sim = result.state;
+
+    dispatchSimEvents(result.events);
+    updateHUD();
+    updateAdvisor();
+}
+
+function updateFiscalPanel() {
+    const panel = document.getElementById('fiscalPanel');
+    if (!panel.classList.contains('active')) return;
+
+    const { fiscal, graduateSkilledShare, creditRating, missedPayments, austerityUntil } = gameState.sim;
+    const { DEBT } = Simulation;
+    const amounts = {};
+    Simulation.calculateBudgetItems(gameState.sim).forEach(item => {
+        amounts[item.id] = item.amount;
+    });
+
+    const formatAmount = amount => `${amount < 0 ? '-' : '+'}$${Math.abs(amount).toLocaleString()}`;
+    const row = (setting, label, value, amount) => `
+        <div class="fiscal-row">
+            <span class="fiscal-label">${label}</span>
+            <button class="quota-btn" data-setting="${setting}" data-step="-1">−</button>
+            <span class="quota-value">${value}%</span>
+            <button class="quota-btn" data-setting="${setting}" data-step="1">+</button>
+            <span class="fiscal-amount">${formatAmount(amount)}</span>
+        </div>
+    `;
+
+    const effects = Simulation.getFiscalEffects(gameState.sim);
+    const budget = Simulation.calculateYearlyBudget(gameState.sim);
+
+    document.getElementById('fiscalList').innerHTML = `
+        ${row('tax', '💰 Income tax', fiscal.taxRate, amounts.tax)}
+        ${Simulation.FISCAL.SPENDING.map(service =>
+            row(service.id, `${service.icon} ${service.name}`, fiscal.spending[service.id], amounts[`spending.${service.id}`])).join('')}
+        <div class="fiscal-summary">
+            <div>Yearly budget: ${formatAmount(budget)}</div>
+            <div>Each year: 😊 ${effects.happiness >= 0 ? '+' : ''}${effects.happiness} • 📈 GDP ${formatAmount(effects.gdp)}</div>
+            <div>🎓 Skilled school leavers: ${Math.round(graduateSkilledShare * 100)}%</div>
+        </div>
+        <div class="fiscal-summary">
+            <div>🏦 Debt: $${Simulation.getTotalDebt(gameState.sim).toLocaleString()} • Rating ${creditRating} • Interest ${(Simulation.getInterestRate(gameState.sim) * 100).toFixed(1)}%</div>
+            ${missedPayments > 0 ? `<div class="fiscal-warning">⚠️ Missed payments: ${missedPayments}/${DEBT.MISSED_PAYMENTS}</div>` : ''}
+            ${austerityUntil !== null ? `<div class="fiscal-warning">Austerity until ${austerityUntil}: services capped at ${DEBT.AUSTERITY_FUNDING}%</div>` : ''}
+        </div>
+        <div class="save-slot-actions fiscal-actions">
+            <button class="save-slot-btn" data-action="issueBonds">Bonds +$${DEBT.BOND_SIZE.toLocaleString()}</button>
+            <button class="save-slot-btn" data-action="payDebt">Repay $${DEBT.BOND_SIZE.toLocaleString()}</button>
+            <button class="save-slot-btn" data-action="takeEmergencyLoan">🆘 Loan</button>
+        </div>
+    `;
+}
+
+// Objectives Panel
+// The running scenario's objectives and deadline; hidden in free play
+
+function updateObjectivesPanel() {
+    const panel = document.getElementById('objectivesPanel');
+    const scenario = Simulation.getScenario(gameState.sim.scenario);
+    panel.classList.toggle('active', !!scenario);
+    if (!scenario) return;
+    
+    const status = {
+        active: `Deadline: end of ${Simulation.getScenarioDeadline(scenario)}`,
+        won: '✅ Complete! Free play continues',
+        failed: '❌ Failed'
+    }[gameState.sim.scenarioStatus];
+    
+    document.getElementById('objectivesTitle').textContent = `${scenario.icon} ${scenario.name.toUpperCase()}`;
+    document.getElementById('objectivesList').innerHTML = `
+        ${Simulation.getObjectiveProgress(gameState.sim).map(objective => `
+            <div class="objective-row ${objective.met ? 'objective-met' : ''}">
+                <span>${objective.met ? '✅' : (objective.keep ? '❌' : '⬜')}</span>
+                <span>${objective.label}</span>
+            </div>
+        `).join('')}
+        <div class="objectives-status">${status}</div>
+    `;
+}
+
+// Advisor
+// Forecasts the next few years under the current policies whenever they or
+// the nation change, and warns before a failure along with the policy
+// toggles that would avert it. A dismissed warning stays hidden until it
+// gets more severe.
+function updateAdvisor() {
+    const panel = document.getElementById('advisorPanel');
+    const warning = gameState.started ? Simulation.getAdvisorWarning(gameState.sim) : null;
+    const visible = warning && !gameState.dismissedWarnings.includes(`${warning.id}.${warning.severity.id}`);
+    
+    panel.className = visible ? `advisor-panel active advisor-${warning.severity.id}` : 'advisor-panel';
+    if (!visible) return;
+    
+    const when = warning.yearsAway === 1 ? 'next year' : `in ${warning.yearsAway} years`;
+    const fixes = warning.fixes.slice(0, 3).map(fix => `
+        <div class="advisor-fix">
+            ${fix.turnOn ? 'Enact' : 'Repeal'} ${fix.icon} ${fix.name}
+            ${fix.averts ? '<span class="advisor-averts">averts it</span>' : `<span class="advisor-delays">holds off until ${fix.delayedTo}</span>`}
+        </div>
+    `).join('');
+    
+    panel.innerHTML = `
+        <div class="advisor-header">
+            <span>${warning.severity.icon} ADVISOR • ${warning.severity.id.toUpperCase()}</span>
+            <button class="advisor-dismiss" onclick="dismissAdvisorWarning('${warning.id}.${warning.severity.id}')" title="Dismiss">✕</button>
+        </div>
+        <div class="advisor-message">${warning.icon} ${warning.warning} ${when} (${warning.year})</div>
+        ${warning.id === 'scenario' ? `<div class="advisor-detail">${escapeHTML(warning.reason)}</div>` : ''}
+        ${fixes || '<div class="advisor-detail">No single policy change averts it: try taxes, spending or borrowing (F)</div>'}
+    `;
+}
+
+function dismissAdvisorWarning(key) {
+    gameState.dismissedWarnings.push(key);
+    updateAdvisor();
+}
+
 // Controls
 function setupControls() {
     document.addEventListener('mousemove', onMouseMove);
@@ -1110,6 +1271,30 @@ function setupControls() {
     document.addEventListener('keydown', onKeyDown);
     document.addEventListener('keyup', onKeyUp);
     window.addEventListener('resize', onWindowResize);
+    window.addEventListener('pagehide', () => {
+        if (gameState.started) recordAchievementProgress();
+    });
+    
+    renderPolicyCards();
+    
+    // Fiscal rows are re-rendered every update, so listen on the list
+    document.getElementById('fiscalList').addEventListener('click', event => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        event.stopPropagation();
+        if (button.dataset.action) {
+            applyFiscalAction({ type: button.dataset.action });
+        } else {
+            adjustFiscal(button.dataset.setting, Number(button.dataset.step));
+        }
+    });
+    
+    document.getElementById('decisionOptions').addEventListener('click', event => {
+        const button = event.target.closest('.decision-option');
+        if (!button) return;
+        event.stopPropagation();
+        chooseDecisionOption(Number(button.dataset.option));
+    });
     
     document.querySelectorAll('.policy-card').forEach(card => {
         card.addEventListener('click', function() {
@@ -1117,13 +1302,26 @@ function setupControls() {
             togglePolicy(this.dataset.policy);
         });
         
-        card.addEventListener('mouseenter', function() {
-            showTooltip(this);
+        card.querySelectorAll('.quota-btn').forEach(btn => {
+            btn.addEventListener('click', function(event) {
+                event.stopPropagation();
+                if (!gameState.started) return;
+                adjustPolicyQuota(card.dataset.policy, Number(this.dataset.step));
+            });
+        });
+        
+        card.addEventListener('mouseenter', function(event) {
+            showTooltip(this, event);
         });
         
         card.addEventListener('mouseleave', hideTooltip);
     });
 
+    document.getElementById('saveFileInput').addEventListener('change', function() {
+        if (this.files.length > 0) importSaveFile(this.files[0]);
+        this.value = '';
+    });
+
     document.querySelectorAll('.difficulty-btn').forEach(btn => {
         btn.addEventListener('click', function() {
             document.querySelectorAll('.difficulty-btn').forEach(b => b.classList.remove('selected'));
@@ -1145,6 +1343,15 @@ function onMouseMove(event) {
 }
 
 function onKeyDown(event) {
+    // Let form fields in the menu keep their own keystrokes
+    if (event.target.tagName === 'INPUT') return;
+    
+    // While a decision is open the number keys answer it
+    if (gameState.sim.pendingDecision && event.code.startsWith('Digit')) {
+        chooseDecisionOption(parseInt(event.code[5]) - 1);
+        return;
+    }
+    
     switch (event.code) {
         case 'KeyW': moveForward = true; break;
         case 'KeyS': moveBackward = true; break;
@@ -1163,17 +1370,38 @@ function onKeyDown(event) {
             event.preventDefault();
             toggleMenu();
             break;
+        case 'KeyC':
+            toggleCharts();
+            break;
+        case 'KeyI':
+            toggleIntegrationPanel();
+            break;
+        case 'KeyF':
+            toggleFiscalPanel();
+            break;
+        case 'Minus':
+        case 'NumpadSubtract':
+            if (selectedPolicyId) adjustPolicyQuota(selectedPolicyId, -1);
+            break;
+        case 'Equal':
+        case 'NumpadAdd':
+            if (selectedPolicyId) adjustPolicyQuota(selectedPolicyId, 1);
+            break;
         case 'KeyP':
             gameState.paused = !gameState.paused;
             showNotification(gameState.paused ? 'Game Paused' : 'Game Resumed', 'info');
             break;
     }
     
+    // Hotkeys follow registry order: 1 = first policy, 2 = second...
+    // With Shift held they preview the toggle instead
     if (event.code.startsWith('Digit') && gameState.started) {
         const digit = parseInt(event.code[5]);
-        if (digit >= 1 && digit <= 6) {
-            const policies = ['openBorders', 'skilledWorker', 'refugee', 'family', 'investor', 'strict'];
-            togglePolicy(policies[digit - 1]);
+        const policy = Simulation.POLICIES[digit - 1];
+        if (policy && event.shiftKey) {
+            previewPolicyHotkey(policy.id);
+        } else if (policy) {
+            togglePolicy(policy.id);
         }
     }
 }
@@ -1184,6 +1412,10 @@ function onKeyUp(event) {
         case 'KeyS': moveBackward = false; break;
         case 'KeyA': moveLeft = false; break;
         case 'KeyD': moveRight = false; break;
+        case 'ShiftLeft':
+        case 'ShiftRight':
+            hideTooltip();
+            break;
     }
 }
 
@@ -1193,25 +1425,61 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+// "👶 23% 👷 58% 👴 19%" share of each age cohort
+function formatAgeMix(cohorts) {
+    const icons = { children: '👶', working: '👷', retirees: '👴' };
+    const total = Math.max(1, Simulation.COHORTS.reduce((sum, cohort) => sum + cohorts[cohort], 0));
+    
+    return Simulation.COHORTS
+        .map(cohort => `${icons[cohort]} ${Math.round(cohorts[cohort] / total * 100)}%`)
+        .join(' ');
+}
+
+// Jobs filled per sector, then who is still looking for work
+function updateSectorList() {
+    const market = Simulation.calculateLaborMarket(gameState.sim);
+    const rows = market.sectors.map(sector => {
+        const open = sector.jobs - sector.filled;
+        return `
+            <div class="sector-row">
+                <span>${sector.icon} ${sector.id}</span>
+                <span style="color: ${open > 0 ? '#ffcc00' : '#00ff88'};">${sector.filled}/${sector.jobs}${open > 0 ? ` (${open} open)` : ''}</span>
+            </div>
+        `;
+    }).join('');
+    const { skilled, general, integrating } = market.unemployed;
+    
+    document.getElementById('sectorList').innerHTML = `${rows}
+        <div class="sector-row sector-unemployed">
+            <span>Out of work</span>
+            <span>🎓 ${skilled} • 🔧 ${general} • 🤝 ${integrating}</span>
+        </div>
+    `;
+}
+
 // UI Updates
 function updateHUD() {
-    document.getElementById('statYear').textContent = gameState.year;
-    document.getElementById('statPopulation').textContent = gameState.population.toLocaleString();
-    document.getElementById('statGDP').textContent = '$' + gameState.gdp.toLocaleString();
-    document.getElementById('statHappiness').textContent = gameState.happiness.toFixed(0) + '%';
-    document.getElementById('statUnemployment').textContent = gameState.unemployment.toFixed(1) + '%';
-    document.getElementById('statBudget').textContent = '$' + gameState.budget.toLocaleString();
-    document.getElementById('statScore').textContent = gameState.score.toLocaleString();
-    document.getElementById('yearDisplay').textContent = gameState.year - 2023;
+    document.getElementById('statYear').textContent = gameState.sim.year;
+    document.getElementById('statPopulation').textContent = gameState.sim.population.toLocaleString();
+    document.getElementById('statAgeMix').textContent = formatAgeMix(gameState.sim.cohorts);
+    updateSectorList();
+    document.getElementById('statGDP').textContent = '$' + gameState.sim.gdp.toLocaleString();
+    document.getElementById('statHappiness').textContent = gameState.sim.happiness.toFixed(0) + '%';
+    document.getElementById('statUnemployment').textContent = gameState.sim.unemployment.toFixed(1) + '%';
+    document.getElementById('statBudget').textContent = '$' + gameState.sim.budget.toLocaleString();
+    document.getElementById('statDebt').textContent = `$${Simulation.getTotalDebt(gameState.sim).toLocaleString()} (${gameState.sim.creditRating})`;
+    document.getElementById('statScore').textContent = gameState.sim.score.toLocaleString();
+    document.getElementById('statApproval').textContent = formatApproval(gameState.sim);
+    document.getElementById('yearDisplay').textContent = gameState.sim.year - Simulation.SIM_CONFIG.START_YEAR + 1;
     
     // Happiness bar
     const happinessBar = document.getElementById('happinessBar');
     if (happinessBar) {
-        happinessBar.style.width = `${gameState.happiness}%`;
+        happinessBar.style.width = `${gameState.sim.happiness}%`;
         
-        if (gameState.happiness < 30) {
+        if (gameState.sim.happiness < 30) {
             happinessBar.style.background = 'linear-gradient(90deg, #ff0000, #ff6b6b)';
-        } else if (gameState.happiness > 70) {
+        } else if (gameState.sim.happiness > 70) {
             happinessBar.style.background = 'linear-gradient(90deg, #00ff88, #51cf66)';
         } else {
             happinessBar.style.background = 'linear-gradient(90deg, #ffcc00, #ffd700)';
@@ -1228,6 +1496,13 @@ function updateHUD() {
     }
 }
 
+// "48% • vote 2032 🤝🏰": approval so far this term, the next election and
+// the coalition partner, if any
+function formatApproval(sim) {
+    const partner = sim.coalition && Simulation.getParty(sim.coalition.partner);
+    return `${Simulation.getApproval(sim).share.toFixed(0)}% • vote ${Simulation.getNextElection(sim)}${partner ? ` 🤝${partner.icon}` : ''}`;
+}
+
 function updateWeather() {
     const weathers = ['☀️', '⛅', '☁️', '🌧️'];
     const weatherIndicator = document.getElementById('weatherIndicator');
@@ -1268,32 +1543,156 @@ function showAchievement(message) {
 }
 
 // Tooltips
-function showTooltip(card) {
-    const descriptions = {
-        openBorders: 'Allows unrestricted immigration. +60 people, +$1200 GDP, -12% happiness, +2.5% unemployment. Cost: $700/year.',
-        skilledWorker: 'Attracts educated professionals. +20 people, +$2200 GDP, -1.2% unemployment, -5% happiness. Risk: Brain drain. Cost: $600/year.',
-        refugee: 'Provides asylum to refugees. +30 people, +8% happiness, -$400 GDP short-term, +1.5% unemployment. Benefits start after 2 years. Cost: $900/year.',
-        family: 'Allows family reunification. +25 people, +15% happiness, -$300 GDP (dependents). May cause baby boom. Cost: $400/year.',
-        investor: 'Attracts wealthy investors. +8 people, +$1800 GDP, -0.8% unemployment, YOU GET $1500. But -8% happiness. Risk: Corruption. Cost: -$1500 (they pay you).',
-        strict: 'Enforces strict immigration controls. Reduces ALL immigration by 50%, +20% happiness, -1% GDP, population declines naturally. Cost: $300/year.'
-    };
+function showTooltip(card, event) {
+    const policy = Simulation.getPolicy(card.dataset.policy);
+    if (!policy) return;
     
-    const policy = card.dataset.policy;
     const tooltip = document.getElementById('tooltip');
     tooltip.innerHTML = `
-        <div style="color: #00d4ff; font-size: 16px; margin-bottom: 8px; font-weight: bold;">${formatPolicyName(policy)}</div>
-        <div style="color: #aaa; font-size: 13px; line-height: 1.5;">${descriptions[policy] || ''}</div>
+        <div style="color: #00d4ff; font-size: 16px; margin-bottom: 8px; font-weight: bold;">${policy.icon} ${policy.name}</div>
+        <div style="color: #aaa; font-size: 13px; line-height: 1.5;">${getPolicyTooltipLines(policy).join('<br>')}</div>
+        ${getPolicyPreviewHTML(policy)}
     `;
     tooltip.style.opacity = '1';
     tooltip.style.left = (event.clientX + 20) + 'px';
     tooltip.style.top = (event.clientY + 20) + 'px';
 }
 
+// Numbers are shown at the current quota, or the default one while off
+function getPolicyTooltipLines(policy) {
+    const lines = [policy.description];
+    const level = gameState.sim.policies[policy.id] || Simulation.getDefaultLevel(policy);
+    const scale = Simulation.getPolicyScale(policy, level);
+    
+    if (policy.quota) {
+        lines.push(`Quota: ${level}/year (0-${policy.quota.max}, steps of ${policy.quota.step}).`);
+    }
+    if (Object.keys(policy.effects).length > 0) {
+        lines.push(`Each year: ${Simulation.describeEffects(Simulation.scaleEffects(policy.effects, scale))}.`);
+    }
+    if (policy.multipliers) {
+        const scaled = Object.keys(policy.multipliers)
+            .map(key => `${key} growth ×${policy.multipliers[key]}`)
+            .join(', ');
+        lines.push(`Scales all yearly ${scaled}.`);
+    }
+    if (policy.proportional) {
+        const shares = Object.keys(policy.proportional.effects)
+            .map(key => `${(policy.proportional.effects[key] * 100).toFixed(1)}% ${key}`)
+            .join(', ');
+        lines.push(`Also ${shares} per year.`);
+    }
+    if (policy.integration) {
+        lines.push(`Arrivals start ${Math.round(policy.integration.start * 100)}% integrated and gain ${Math.round(policy.integration.rate * 100)}% a year.`);
+    }
+    if (policy.integrationBoost) {
+        lines.push(`All immigrants gain an extra ${Math.round(policy.integrationBoost * 100)}% integration a year.`);
+    }
+    (policy.sideEffects || []).forEach(sideEffect => {
+        lines.push(`${Math.round(sideEffect.chance * 100)}% chance: ${Simulation.describeEffects(Simulation.scaleEffects(sideEffect.effects, scale))}.`);
+    });
+    
+    lines.push(formatPolicyCost(policy, level));
+    lines.push(...getInteractionTooltipLines(policy));
+    if (policy.quota) {
+        lines.push('Use the − / + buttons or keys to change the quota.');
+    }
+    return lines;
+}
+
+// Combination rules; ones that currently apply are highlighted
+function getInteractionTooltipLines(policy) {
+    const icons = { exclusive: '⛔', synergy: '🤝', conflict: '⚠️' };
+    const colors = { exclusive: '#ff6b6b', synergy: '#00ff88', conflict: '#ffcc00' };
+    
+    return Simulation.getPolicyInteractions(policy.id).map(rule => {
+        const other = Simulation.getPolicy(rule.policies.find(id => id !== policy.id));
+        const active = gameState.sim.policies[other.id] > 0;
+        const effects = rule.effects ? ` (${Simulation.describeEffects(rule.effects)})` : '';
+        const label = rule.type === 'exclusive' ? `Can't combine with ${other.name}` : `With ${other.name}`;
+        
+        return `<span style="color: ${active ? colors[rule.type] : '#777'};">${icons[rule.type]} ${label}: ${rule.description}${effects}</span>`;
+    });
+}
+
+function formatPolicyCost(policy, level) {
+    const cost = Simulation.getPolicyCost(policy, level || Simulation.getDefaultLevel(policy));
+    return cost >= 0
+        ? `Cost: $${cost.toLocaleString()}/year`
+        : `Income: $${(-cost).toLocaleString()}/year`;
+}
+
 function hideTooltip() {
     const tooltip = document.getElementById('tooltip');
     tooltip.style.opacity = '0';
 }
 
+// What-if Preview
+// The coming year with a policy flipped next to the same year as things
+// stand, both without random events, so every difficulty setting, policy
+// interaction and the nation's current size are accounted for. The real
+// game is untouched until the card is clicked.
+const PREVIEW_STATS = [
+    { key: 'population', label: '👥 Pop.', higherIsBetter: true, format: value => Math.round(value).toLocaleString() },
+    { key: 'gdp', label: '💰 GDP', higherIsBetter: true, format: value => `$${Math.round(value).toLocaleString()}` },
+    { key: 'happiness', label: '😊 Happy', higherIsBetter: true, format: value => `${value.toFixed(1)}%` },
+    { key: 'unemployment', label: '📊 Unemp.', higherIsBetter: false, format: value => `${value.toFixed(1)}%` },
+    { key: 'budget', label: '💵 Budget', higherIsBetter: true, format: value => `$${Math.round(value).toLocaleString()}` }
+];
+
+function getPolicyPreviewHTML(policy) {
+    if (!gameState.started) return '';
+    
+    const preview = Simulation.previewActions(gameState.sim, [{ type: 'togglePolicy', policy: policy.id }]);
+    if (preview.refused) {
+        return `<div class="preview-refused">${preview.refused}</div>`;
+    }
+    
+    const rows = PREVIEW_STATS.map(stat => {
+        const current = preview.current[stat.key] - preview.now[stat.key];
+        const changed = preview.changed[stat.key] - preview.now[stat.key];
+        const difference = changed - current;
+        const better = stat.higherIsBetter ? difference > 0 : difference < 0;
+        const tone = Math.abs(difference) < 0.05 ? '' : (better ? 'preview-better' : 'preview-worse');
+        
+        return `
+            <tr>
+                <td>${stat.label}</td>
+                <td>${formatPreviewDelta(stat, current)}</td>
+                <td>${formatPreviewDelta(stat, changed)}</td>
+                <td class="${tone}">${formatPreviewDelta(stat, difference)}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        <table class="preview-table">
+            <tr>
+                <th>In ${preview.current.year}</th>
+                <th>As is</th>
+                <th>${gameState.sim.policies[policy.id] ? 'Off' : 'On'}</th>
+                <th>Δ</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+}
+
+function formatPreviewDelta(stat, delta) {
+    if (Math.abs(delta) < 0.05) return '±0';
+    return (delta > 0 ? '+' : '−') + stat.format(Math.abs(delta));
+}
+
+// Shift + number key: the preview opens beside the policy's card, since
+// the pointer is locked while playing
+function previewPolicyHotkey(policyId) {
+    const card = document.querySelector(`.policy-card[data-policy="${policyId}"]`);
+    if (!card) return;
+    
+    const rect = card.getBoundingClientRect();
+    showTooltip(card, { clientX: rect.left - 380, clientY: Math.max(0, rect.top - 200) });
+}
+
 // Interactions
 function interactWithObject() {
     raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
@@ -1314,10 +1713,29 @@ function interactWithObject() {
 }
 
 // Game Management
-function startGame() {
+// Starts a game from `options` ({ difficulty, seed } or { scenario }), by
+// default from the menu's difficulty and seed
+function startGame(options) {
+    // Starting over from the menu should never cost the current run
+    if (gameState.started) {
+        autosave();
+    }
+    
     gameState.started = true;
     gameState.paused = false;
-    gameState.budget = gameState.difficultySettings[gameState.difficulty].budget + CONFIG.INITIAL_BUDGET;
+    gameState.sim = Simulation.createInitialState(options || readSeedInput());
+    gameState.runId = Date.now();
+    gameState.dismissedWarnings = [];
+    gameState.difficulty = gameState.sim.difficulty;
+    selectDifficultyButton(gameState.difficulty);
+    hideDecision();
+    document.getElementById('resultsScreen').classList.remove('active');
+    document.getElementById('electionScreen').classList.remove('active');
+    document.getElementById('eventLog').innerHTML = '';
+    rebuildCity(gameState.sim.buildings);
+    resetPeople();
+    syncPolicyCards();
+    updateSeedCodeDisplay();
     
     document.getElementById('vrMenu').classList.remove('active');
     
@@ -1331,36 +1749,237 @@ function startGame() {
         document.body.requestPointerLock();
     }
     
-    showNotification('🎮 Welcome to Nation Builder VR! Make tough policy choices!', 'info');
+    const scenario = Simulation.getScenario(gameState.sim.scenario);
+    showNotification(scenario
+        ? `${scenario.icon} ${scenario.name}: ${scenario.description}`
+        : `🎮 Welcome to Nation Builder VR! Seed code: ${getSeedCode()}`, 'info');
     updateHUD();
+    updateAdvisor();
+    updateCharts();
+    updateIntegrationPanel();
+    updateFiscalPanel();
+    updateObjectivesPanel();
+}
+
+// Seeds: the menu field takes a share code ("H-1Z141Z3"), any text, or
+// nothing for a random run.
+function readSeedInput() {
+    const input = document.getElementById('seedInput');
+    const text = input ? input.value.trim() : '';
+    
+    const decoded = Simulation.decodeSeedCode(text);
+    if (decoded) return decoded;
+    
+    if (text) {
+        return { difficulty: gameState.difficulty, seed: Simulation.hashSeed(text) };
+    }
+    return { difficulty: gameState.difficulty };
+}
+
+function getSeedCode() {
+    return Simulation.encodeSeedCode(gameState.sim.seed, gameState.sim.difficulty);
+}
+
+function updateSeedCodeDisplay() {
+    const display = document.getElementById('seedCodeDisplay');
+    if (display) {
+        display.textContent = `Seed code: ${getSeedCode()}`;
+    }
+}
+
+function selectDifficultyButton(difficulty) {
+    document.querySelectorAll('.difficulty-btn').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.difficulty === difficulty);
+    });
 }
 
 function endGame(reason) {
     gameState.started = false;
     gameState.paused = true;
+    hideDecision();
+    updateAdvisor();
     
-    const menu = document.getElementById('vrMenu');
-    menu.innerHTML = `
-        <div class="menu-title">GAME OVER</div>
-        <div style="color: #ff6b6b; font-size: 18px; text-align: center; margin-bottom: 20px;">
-            ${reason}
+    document.getElementById('vrMenu').classList.remove('active');
+    recordAchievementProgress();
+    recordRun(reason);
+    showResults(reason);
+    document.exitPointerLock();
+}
+
+// Results
+// The graded summary of a finished run: final figures, the stat timeline
+// with its turning points marked, and the policies that were used
+function showResults(reason) {
+    const sim = gameState.sim;
+    const summary = Simulation.summarizeRun(sim);
+    const scenario = Simulation.getScenario(sim.scenario);
+    const victory = summary.outcome === 'victory';
+    const { breakdown } = summary;
+    
+    const turningPoints = summary.turningPoints.map(point => `
+        <div class="results-row">
+            <strong>${point.year}</strong> ${point.summary || 'No change'}
+            ${[...point.events, ...point.decisions, ...point.policyChanges].map(note => `<div class="results-note">${escapeHTML(note)}</div>`).join('')}
+        </div>
+    `).join('') || '<div class="results-row">No finished years.</div>';
+    
+    const policies = summary.policies.map(policy => `
+        <div class="results-row">
+            ${policy.icon} ${policy.name} • ${policy.years} year${policy.years === 1 ? '' : 's'}${policy.maxLevel ? ` • up to ${policy.maxLevel}/year` : ''}
+        </div>
+    `).join('') || '<div class="results-row">None</div>';
+    
+    const screen = document.getElementById('resultsScreen');
+    screen.innerHTML = `
+        <div class="menu-title">${victory ? '🏆 VICTORY' : 'GAME OVER'}</div>
+        <div class="results-reason ${victory ? 'results-victory' : ''}">${reason}</div>
+        <div class="results-header">
+            <div class="results-grade">${summary.grade}</div>
+            <div class="results-stats">
+                <p><strong>Grade:</strong> ${summary.points}/100 (🏆 ${breakdown.victory} • 📅 ${breakdown.years} • 😊 ${breakdown.happiness} • 👥 ${breakdown.growth} • 🏅 ${breakdown.achievements})</p>
+                <p><strong>Years Played:</strong> ${summary.years}</p>
+                <p><strong>Final Population:</strong> ${sim.population.toLocaleString()}</p>
+                <p><strong>Final GDP:</strong> $${sim.gdp.toLocaleString()}</p>
+                <p><strong>Final Happiness:</strong> ${sim.happiness.toFixed(0)}%</p>
+                <p><strong>Final Score:</strong> ${sim.score.toLocaleString()}</p>
+                <p><strong>Achievements:</strong> ${sim.achievements.length}/${Simulation.ACHIEVEMENT_TIER_COUNT}</p>
+                <p><strong>${scenario ? 'Scenario' : 'Seed Code'}:</strong> ${scenario ? `${scenario.icon} ${scenario.name}` : getSeedCode()}</p>
+            </div>
         </div>
-        <div style="color: #aaa; margin-bottom: 30px; text-align: center; line-height: 1.8;">
-            <p><strong>Years Survived:</strong> ${gameState.year - 2023}</p>
-            <p><strong>Final Population:</strong> ${gameState.population.toLocaleString()}</p>
-            <p><strong>Final GDP:</strong> $${gameState.gdp.toLocaleString()}</p>
-            <p><strong>Final Happiness:</strong> ${gameState.happiness.toFixed(0)}%</p>
-            <p><strong>Final Score:</strong> ${gameState.score.toLocaleString()}</p>
-            <p><strong>Achievements:</strong> ${gameState.achievements.size}/8</p>
+        <canvas class="results-chart" id="resultsChart"></canvas>
+        <div class="results-columns">
+            <div>
+                <div class="results-section-title">📍 TURNING POINTS</div>
+                ${turningPoints}
+            </div>
+            <div>
+                <div class="results-section-title">⚙️ POLICIES USED</div>
+                ${policies}
+            </div>
         </div>
-        <button class="menu-button" onclick="restartGame()">🔄 RESTART GAME</button>
+        <div class="save-slot-actions save-file-actions">
+            <button class="save-slot-btn" onclick="exportTimeline('csv')">📤 Export CSV</button>
+            <button class="save-slot-btn" onclick="exportTimeline('json')">📤 Export JSON</button>
+            <button class="save-slot-btn" onclick="toggleLedger('resultsLedger')">📒 Ledger</button>
+        </div>
+        <div class="ledger" id="resultsLedger"></div>
+        ${victory ? '<button class="menu-button" onclick="keepPlaying()">▶ KEEP PLAYING</button>' : ''}
+        <button class="menu-button" onclick="restartGame()">🔄 PLAY AGAIN (SAME SETTINGS)</button>
+        <button class="menu-button" onclick="openMainMenu()">☰ MAIN MENU</button>
+    `;
+    screen.classList.add('active');
+    
+    drawRunChart(document.getElementById('resultsChart'), sim.history, summary.turningPoints.map(point => point.year));
+}
+
+// Election Night
+// Every election's result: the vote, what moved the government's share and
+// any coalition deal. The game waits while it is open; a defeat leaves the
+// results screen underneath.
+function showElectionNight(election) {
+    const screen = document.getElementById('electionScreen');
+    const partner = Simulation.getParty(election.partner);
+    const headline = {
+        majority: `✅ Re-elected with ${election.share.toFixed(1)}% of the vote`,
+        coalition: `🤝 No majority: governing with the ${partner ? `${partner.icon} ${partner.name}` : ''}`,
+        defeat: `❌ Voted out with ${election.share.toFixed(1)}% of the vote`
+    }[election.outcome];
+    
+    const votes = [{ name: '🏛️ Your government', share: election.share, government: true }]
+        .concat(election.parties.map(result => {
+            const party = Simulation.getParty(result.id);
+            return { name: `${party.icon} ${party.name}`, share: result.share };
+        }))
+        .map(vote => `
+            <div class="election-vote">
+                <div class="election-vote-label"><span>${vote.name}</span><span>${vote.share.toFixed(1)}%</span></div>
+                <div class="progress-bar">
+                    <div class="progress-fill ${vote.government ? 'election-government' : 'election-opposition'}" style="width: ${vote.share}%;"></div>
+                </div>
+            </div>
+        `).join('');
+    
+    const factors = election.factors.map(factor => `
+        <div class="results-row election-factor">
+            <span>${factor.label}</span>
+            <span class="${factor.points < 0 ? 'preview-worse' : factor.points > 0 && factor.id !== 'base' ? 'preview-better' : ''}">${factor.points > 0 ? '+' : ''}${factor.points.toFixed(1)}</span>
+        </div>
+    `).join('');
+    
+    const deal = partner ? Object.keys(partner.demands).map(policyId => {
+        const policy = Simulation.getPolicy(policyId);
+        return `<div class="results-row">🔒 ${policy.icon} ${policy.name} stays ${partner.demands[policyId] ? 'on' : 'off'}</div>`;
+    }).join('') : '';
+    
+    screen.innerHTML = `
+        <div class="menu-title">🗳️ ELECTION NIGHT ${election.year}</div>
+        <div class="results-reason ${election.outcome === 'defeat' ? '' : 'results-victory'}">${headline}</div>
+        <div class="results-columns">
+            <div>
+                <div class="results-section-title">📊 THE VOTE</div>
+                ${votes}
+                <div class="results-note">${Simulation.ELECTIONS.MAJORITY}% governs alone, ${Simulation.ELECTIONS.COALITION}% in a coalition</div>
+            </div>
+            <div>
+                <div class="results-section-title">🔍 WHY PEOPLE VOTED FOR YOU</div>
+                ${factors}
+            </div>
+        </div>
+        ${partner ? `
+            <div class="results-section-title">🤝 COALITION TERMS UNTIL ${election.year + Simulation.ELECTIONS.TERM}</div>
+            ${deal}
+        ` : ''}
+        <button class="menu-button" onclick="closeElectionNight()">${election.outcome === 'defeat' ? '📋 SEE RESULTS' : '▶ CONTINUE'}</button>
     `;
-    menu.classList.add('active');
+    screen.classList.add('active');
+    
+    if (gameState.started) gameState.paused = true;
     document.exitPointerLock();
 }
 
+function closeElectionNight() {
+    document.getElementById('electionScreen').classList.remove('active');
+    if (!gameState.started) return;
+    
+    gameState.paused = false;
+    lastSimulationTime = Date.now();
+    document.body.requestPointerLock();
+}
+
+// Population, GDP, happiness and unemployment over a run's history
+function drawRunChart(canvas, history, highlightYears) {
+    canvas.width = 560;
+    canvas.height = 180;
+    const ctx = canvas.getContext('2d');
+    
+    const series = CHART_SERIES.slice(0, 4);
+    const cellWidth = canvas.width / 2;
+    const cellHeight = canvas.height / 2;
+    series.forEach((line, index) => {
+        const x = (index % 2) * cellWidth;
+        const y = Math.floor(index / 2) * cellHeight;
+        drawLineChart(ctx, history, line, x + 6, y + 6, cellWidth - 12, cellHeight - 12, highlightYears);
+    });
+}
+
+// Same difficulty and seed, or the same scenario, without reloading the page
 function restartGame() {
-    location.reload();
+    const sim = gameState.sim;
+    startGame(sim.scenario ? { scenario: sim.scenario } : { difficulty: sim.difficulty, seed: sim.seed });
+}
+
+// After a victory the run may go on as free play
+function keepPlaying() {
+    document.getElementById('resultsScreen').classList.remove('active');
+    gameState.started = true;
+    gameState.paused = false;
+    lastSimulationTime = Date.now();
+    document.body.requestPointerLock();
+}
+
+function openMainMenu() {
+    document.getElementById('resultsScreen').classList.remove('active');
+    document.getElementById('vrMenu').classList.add('active');
 }
 
 function showTutorial() {
@@ -1374,49 +1993,98 @@ CONTROLS:
 • E - Interact with objects
 • TAB - Open/close menu
 • P - Pause game
-• 1-6 - Quick policy toggle
+• C - Show/hide history charts
+• I - Show/hide immigrant integration
+• F - Show/hide taxes & spending
+• 1-4 - Answer a decision while one is open
+• 1-${Simulation.POLICIES.length} - Quick policy toggle
+• Shift + 1-${Simulation.POLICIES.length} - Preview a toggle: next year with and without it
+• - / + - Lower/raise the selected policy's annual quota
 
 GAMEPLAY:
 • Manage immigration policies to grow your nation
 • Each policy has TRADE-OFFS - nothing is free!
 • Balance population, GDP, happiness, and unemployment
-• Random events can help or hinder your progress
-• Don't run out of budget or let metrics crash
-• Survive as long as possible and earn achievements
+• Immigrants integrate over a few years and contribute more as they do
+• Jobs come from the city's buildings: skilled workers fill Tech and
+  Government, everyone else Residential, Commercial and Industrial
+• The city grows with your population and GDP, and empties out when
+  they shrink - walk around to see how your nation is doing
+• Set the income tax and fund healthcare, education, housing and
+  security: high taxes slow growth and anger people, while education
+  slowly makes school leavers more employable
+• Random events can help or hinder your progress, and some have an
+  aftermath that lasts for years
+• Some events are decisions: time stops until you pick an option, and
+  your choice shapes the years after
+• Borrow with bonds or an emergency loan when money is short, but
+  interest rises with debt and three overdrawn years in a row is a default
+• Don't let metrics crash
+• The advisor forecasts the next ${Simulation.FORECAST.YEARS} years under your current
+  policies and warns you before a failure, with the policy changes that
+  would avert it (✕ hides a warning until it gets worse)
+• Win the run, or survive as long as you can and earn achievements
+
+VICTORY:
+${Simulation.VICTORY_CONDITIONS.map(victory => `${victory.icon} ${victory.name} - ${victory.objectives.map(Simulation.describeObjective).join(' and ')}`).join('\n')}
+Every finished run is graded and summarized with its turning points.
+
+ELECTIONS:
+• Every ${Simulation.ELECTIONS.TERM} years the nation votes; your share is your approval (🗳️ in
+  the status panel)
+• Happiness, a growing economy and good news win votes; unemployment,
+  bad news and switching policies back and forth lose them
+• ${Simulation.ELECTIONS.MAJORITY}% or more governs alone; from ${Simulation.ELECTIONS.COALITION}% you govern in a coalition
+  whose partner sets some policies, pays for them from your budget and
+  locks them (🔒) while it governs; the compromises cost
+  ${Simulation.ELECTIONS.COALITION_UNREST} happiness a year. Below that you are voted out and the
+  run ends
+
+SCENARIOS:
+• Pick one from 🎯 SCENARIOS in the menu: each starts from its own nation
+  and sets objectives to reach before a deadline
+• Objectives marked "Keep" must hold every year, or the scenario is lost
+• Completing a scenario unlocks the next one in the campaign
+
+Hover a policy card (or hold Shift with its number) to compare next year
+with and without it before you commit.
 
 POLICY TRADE-OFFS:
-🌐 Open Borders - Many immigrants, GDP boost, but hurts happiness
-💼 Skilled Workers - High GDP, but expensive and causes resentment
-🛡️ Refugee Program - Humanitarian, but costly short-term
-👨‍👩‍👧‍👦 Family Reunion - Great for happiness, but economic strain
-💰 Investor Visa - Immediate cash, but inequality and corruption risk
-🚫 Strict Control - Security and happiness, but economic decline
+${Simulation.POLICIES.map(policy => `${policy.icon} ${policy.name} - ${policy.summary}`).join('\n')}
 
 ACHIEVEMENTS:
-Unlock 8 special achievements by reaching milestones!
+Unlock ${Simulation.ACHIEVEMENT_TIER_COUNT} achievement tiers (🥉 Bronze, 🥈 Silver, 🥇 Gold) by reaching milestones!
+• Some measure streaks, like years in a row of content citizens
+• ❓ Hidden achievements reveal themselves once unlocked
+• Unlocks are kept across runs; the 🏅 gallery shows your progress
 
 Good luck building your nation!
     `);
 }
 
 function showStats() {
-    const achievementList = Array.from(gameState.achievements).join(', ') || 'None yet';
+    const achievementList = gameState.sim.achievements.map(describeAchievementUnlock).join(', ') || 'None yet';
     alert(`
 CURRENT STATISTICS
 
-Year: ${gameState.year}
-Population: ${gameState.population.toLocaleString()}
-GDP: $${gameState.gdp.toLocaleString()}
-Happiness: ${gameState.happiness.toFixed(1)}%
-Unemployment: ${gameState.unemployment.toFixed(1)}%
-Budget: $${gameState.budget.toLocaleString()}
-Score: ${gameState.score.toLocaleString()}
-
-Difficulty: ${gameState.difficulty.toUpperCase()}
-Achievements: ${gameState.achievements.size}/8
+Year: ${gameState.sim.year}
+Population: ${gameState.sim.population.toLocaleString()}
+  Children: ${gameState.sim.cohorts.children.toLocaleString()} • Working age: ${gameState.sim.cohorts.working.toLocaleString()} • Retirees: ${gameState.sim.cohorts.retirees.toLocaleString()}
+GDP: $${gameState.sim.gdp.toLocaleString()}
+Happiness: ${gameState.sim.happiness.toFixed(1)}%
+Unemployment: ${gameState.sim.unemployment.toFixed(1)}%
+Budget: $${gameState.sim.budget.toLocaleString()}
+Debt: $${Simulation.getTotalDebt(gameState.sim).toLocaleString()} (rated ${gameState.sim.creditRating})
+Score: ${gameState.sim.score.toLocaleString()}
+Approval: ${formatApproval(gameState.sim)}
+
+Difficulty: ${gameState.sim.difficulty.toUpperCase()}
+Seed Code: ${getSeedCode()}
+Achievements: ${gameState.sim.achievements.length}/${Simulation.ACHIEVEMENT_TIER_COUNT}
+${achievementList}
 
 Active Policies:
-${Object.keys(gameState.policies).filter(p => gameState.policies[p]).map(p => '• ' + formatPolicyName(p)).join('\n') || '• None'}
+${Simulation.POLICIES.filter(policy => gameState.sim.policies[policy.id]).map(policy => '• ' + policy.name + (policy.quota ? ` (${gameState.sim.policies[policy.id]}/year)` : '')).join('\n') || '• None'}
     `);
 }
 
@@ -1433,6 +2101,640 @@ function toggleMenu() {
     }
 }
 
+// Save & Load
+// Each slot holds the simulation state plus enough of the world (building
+// layout, people) to put the player back in the same city. Slots and
+// exported files share the versioned format from simulation.js.
+function createSaveData(name) {
+    return Simulation.createSaveFile(gameState.sim, {
+        people: getPeopleSnapshot()
+    }, name);
+}
+
+function readSaveSlot(slot) {
+    try {
+        const raw = localStorage.getItem(CONFIG.SAVE_KEY_PREFIX + slot);
+        if (!raw) return null;
+        
+        const data = JSON.parse(raw);
+        // Slots written before saves were versioned
+        if (data && data.format === undefined && data.sim && data.world) {
+            data.format = 'nation-builder-vr-save';
+            data.version = 1;
+        }
+        return Simulation.readSaveFile(data);
+    } catch (error) {
+        // An unreadable slot shows as empty
+        return null;
+    }
+}
+
+function writeSaveSlot(slot, name) {
+    try {
+        localStorage.setItem(CONFIG.SAVE_KEY_PREFIX + slot, JSON.stringify(createSaveData(name)));
+        recordAchievementProgress();
+        return true;
+    } catch (error) {
+        showNotification('⚠️ Could not save: browser storage unavailable or full', 'error');
+        return false;
+    }
+}
+
+function saveGame(slot) {
+    if (!gameState.started) {
+        showNotification('Start a game before saving', 'error');
+        return;
+    }
+    
+    const existing = readSaveSlot(slot);
+    const defaultName = existing ? existing.name : `Year ${gameState.sim.year} - ${gameState.sim.difficulty}`;
+    const name = prompt('Name this save:', defaultName);
+    if (name === null) return;
+    
+    if (writeSaveSlot(slot, name.trim() || defaultName)) {
+        showNotification(`💾 Game saved: ${name.trim() || defaultName}`, 'success');
+        renderSaveSlots();
+    }
+}
+
+function autosave() {
+    if (writeSaveSlot('autosave', `Autosave - Year ${gameState.sim.year}`)) {
+        renderSaveSlots();
+    }
+}
+
+function loadGame(slot) {
+    const data = readSaveSlot(slot);
+    if (!data) {
+        showNotification('Save slot is empty or unreadable', 'error');
+        return;
+    }
+    
+    applySaveData(data);
+    showNotification(`📂 Loaded: ${data.name}`, 'success');
+}
+
+function applySaveData(data) {
+    // The run being replaced keeps its progress toward achievements
+    if (gameState.started) recordAchievementProgress();
+    
+    gameState.sim = data.sim;
+    gameState.runId = Date.now();
+    gameState.dismissedWarnings = [];
+    gameState.difficulty = data.sim.difficulty;
+    gameState.started = true;
+    gameState.paused = false;
+    lastSimulationTime = Date.now();
+    
+    rebuildCity(data.sim.buildings);
+    restorePeople(data.world.people);
+    
+    selectDifficultyButton(gameState.difficulty);
+    syncPolicyCards();
+    updateSeedCodeDisplay();
+    updateHUD();
+    updateAdvisor();
+    updateCharts();
+    updateIntegrationPanel();
+    updateFiscalPanel();
+    updateObjectivesPanel();
+    
+    // A decision saved before it was answered comes back up
+    hideDecision();
+    showDecision();
+    
+    document.getElementById('vrMenu').classList.remove('active');
+    document.getElementById('resultsScreen').classList.remove('active');
+    document.getElementById('electionScreen').classList.remove('active');
+    document.getElementById('eventLogPanel').style.display = 'block';
+    document.body.requestPointerLock();
+}
+
+// Save files: the same data as a slot, downloaded as .json so it can be
+// shared or kept as a fixture
+function exportSaveFile() {
+    if (!gameState.started) {
+        showNotification('Start a game before exporting', 'error');
+        return;
+    }
+    
+    const data = createSaveData(`${getSeedCode()} - Year ${gameState.sim.year}`);
+    downloadFile(
+        `nation-builder-${getSeedCode()}-year-${gameState.sim.year}.json`,
+        JSON.stringify(data, null, 2),
+        'application/json'
+    );
+    showNotification('⬇️ Save file exported', 'success');
+}
+
+function downloadFile(filename, contents, mimeType) {
+    const blob = new Blob([contents], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Timeline export: the per-year record of the run for spreadsheets
+function exportTimeline(format) {
+    const baseName = `nation-builder-${getSeedCode()}-timeline`;
+    
+    if (format === 'csv') {
+        downloadFile(`${baseName}.csv`, Simulation.timelineToCSV(gameState.sim), 'text/csv');
+    } else {
+        downloadFile(`${baseName}.json`, Simulation.timelineToJSON(gameState.sim), 'application/json');
+    }
+    showNotification(`📤 Timeline exported (${format.toUpperCase()})`, 'success');
+}
+
+function openSaveFilePicker() {
+    document.getElementById('saveFileInput').click();
+}
+
+function importSaveFile(file) {
+    const reader = new FileReader();
+    
+    reader.onload = () => {
+        let data;
+        try {
+            data = Simulation.readSaveFile(JSON.parse(reader.result));
+        } catch (error) {
+            const message = error instanceof SyntaxError ? 'File is not valid JSON.' : error.message;
+            showNotification(`⚠️ Import failed: ${message}`, 'error');
+            return;
+        }
+        
+        applySaveData(data);
+        showNotification(`📂 Imported: ${data.name || file.name}`, 'success');
+    };
+    reader.onerror = () => showNotification('⚠️ Import failed: could not read file', 'error');
+    
+    reader.readAsText(file);
+}
+
+function deleteSave(slot) {
+    localStorage.removeItem(CONFIG.SAVE_KEY_PREFIX + slot);
+    renderSaveSlots();
+}
+
+function toggleSaveSlots() {
+    const panel = document.getElementById('saveSlots');
+    if (!panel) return;
+    
+    const opening = panel.style.display !== 'block';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) renderSaveSlots();
+}
+
+function renderSaveSlots() {
+    const panel = document.getElementById('saveSlots');
+    if (!panel) return;
+    
+    const slots = ['autosave', ...CONFIG.SAVE_SLOTS];
+    panel.innerHTML = `
+        <div class="save-slot-actions save-file-actions">
+            <button class="save-slot-btn" onclick="exportSaveFile()">⬇ Export File</button>
+            <button class="save-slot-btn" onclick="openSaveFilePicker()">⬆ Import File</button>
+        </div>
+    ` + slots.map(slot => {
+        const data = readSaveSlot(slot);
+        const isAutosave = slot === 'autosave';
+        const summary = data
+            ? `${data.sim.scenario ? `${Simulation.getScenario(data.sim.scenario).icon} ${Simulation.getScenario(data.sim.scenario).name} • ` : ''}Year ${data.sim.year} • ${data.sim.difficulty.toUpperCase()} • 👥 ${data.sim.population.toLocaleString()} • ⭐ ${data.sim.score.toLocaleString()}<br>${new Date(data.savedAt).toLocaleString()}`
+            : 'Empty';
+        
+        return `
+            <div class="save-slot">
+                <div class="save-slot-info">
+                    <div class="save-slot-name">${isAutosave ? '🔄 ' : '💾 '}${escapeHTML(data ? data.name : (isAutosave ? 'Autosave' : `Slot ${slot.slice(-1)}`))}</div>
+                    <div class="save-slot-summary">${summary}</div>
+                </div>
+                <div class="save-slot-actions">
+                    ${isAutosave ? '' : `<button class="save-slot-btn" onclick="saveGame('${slot}')">Save</button>`}
+                    ${data ? `<button class="save-slot-btn" onclick="loadGame('${slot}')">Load</button>` : ''}
+                    ${data ? `<button class="save-slot-btn" onclick="deleteSave('${slot}')">✕</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Scenarios & Campaign
+// Scenarios unlock in campaign order: each needs the one before it
+// completed. Progress is kept in the browser, apart from the save slots.
+function readCampaignProgress() {
+    try {
+        const completed = JSON.parse(localStorage.getItem(CONFIG.CAMPAIGN_KEY));
+        return Array.isArray(completed) ? completed : [];
+    } catch (error) {
+        // Unreadable progress starts the campaign afresh
+        return [];
+    }
+}
+
+function completeScenario(scenarioId) {
+    const completed = readCampaignProgress();
+    if (completed.includes(scenarioId)) return;
+    
+    const scenarios = Simulation.SCENARIOS;
+    const next = scenarios[scenarios.findIndex(scenario => scenario.id === scenarioId) + 1];
+    try {
+        localStorage.setItem(CONFIG.CAMPAIGN_KEY, JSON.stringify(completed.concat(scenarioId)));
+        if (next) showNotification(`🔓 Scenario unlocked: ${next.icon} ${next.name}`, 'success');
+    } catch (error) {
+        showNotification('⚠️ Could not save campaign progress: browser storage unavailable or full', 'error');
+    }
+}
+
+function isScenarioUnlocked(index, completed) {
+    return index === 0 || completed.includes(Simulation.SCENARIOS[index - 1].id);
+}
+
+function toggleScenarioList() {
+    const panel = document.getElementById('scenarioList');
+    if (!panel) return;
+    
+    const opening = panel.style.display !== 'block';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) renderScenarioList();
+}
+
+function renderScenarioList() {
+    const panel = document.getElementById('scenarioList');
+    if (!panel) return;
+    
+    const completed = readCampaignProgress();
+    panel.innerHTML = Simulation.SCENARIOS.map((scenario, index) => {
+        const unlocked = isScenarioUnlocked(index, completed);
+        const done = completed.includes(scenario.id);
+        const objectives = scenario.objectives.map(Simulation.describeObjective).join(' • ');
+        
+        return `
+            <div class="save-slot ${unlocked ? '' : 'scenario-locked'}">
+                <div class="save-slot-info">
+                    <div class="save-slot-name">${index + 1}. ${scenario.icon} ${scenario.name}${done ? ' ✅' : ''}</div>
+                    <div class="save-slot-summary">
+                        ${unlocked ? scenario.description : `🔒 Complete ${Simulation.SCENARIOS[index - 1].name} to unlock`}<br>
+                        🎯 ${objectives} • within ${scenario.years} years • ${scenario.difficulty.toUpperCase()}
+                    </div>
+                </div>
+                <div class="save-slot-actions">
+                    ${unlocked ? `<button class="save-slot-btn" onclick="startGame({ scenario: '${scenario.id}' })">▶ Play</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Run History & Leaderboard
+// Every finished run is kept in the browser with its final figures, cause
+// and a compact timeline; a run won and then played on is updated when it
+// finally ends.
+function readRunHistory() {
+    try {
+        const runs = JSON.parse(localStorage.getItem(CONFIG.RUNS_KEY));
+        return Array.isArray(runs) ? runs : [];
+    } catch (error) {
+        // An unreadable history starts the leaderboard afresh
+        return [];
+    }
+}
+
+function recordRun(reason) {
+    const sim = gameState.sim;
+    const summary = Simulation.summarizeRun(sim);
+    const run = {
+        id: gameState.runId,
+        finishedAt: Date.now(),
+        difficulty: sim.difficulty,
+        seed: sim.seed,
+        seedCode: getSeedCode(),
+        scenario: sim.scenario,
+        outcome: summary.outcome,
+        reason: reason,
+        years: summary.years,
+        grade: summary.grade,
+        points: summary.points,
+        population: sim.population,
+        gdp: sim.gdp,
+        happiness: sim.happiness,
+        unemployment: sim.unemployment,
+        budget: sim.budget,
+        debt: Simulation.getTotalDebt(sim),
+        score: sim.score,
+        achievements: sim.achievements.slice(),
+        policies: summary.policies,
+        turningPoints: summary.turningPoints.map(point => ({ year: point.year, summary: point.summary })),
+        timeline: sim.history.map(record => ({
+            year: record.year,
+            population: record.population,
+            gdp: record.gdp,
+            happiness: record.happiness,
+            unemployment: record.unemployment,
+            events: record.events
+        }))
+    };
+    
+    const runs = readRunHistory().filter(other => other.id !== run.id).concat(run).slice(-CONFIG.MAX_RUNS);
+    try {
+        localStorage.setItem(CONFIG.RUNS_KEY, JSON.stringify(runs));
+    } catch (error) {
+        showNotification('⚠️ Could not record this run: browser storage unavailable or full', 'error');
+    }
+}
+
+function toggleLeaderboard() {
+    const panel = document.getElementById('leaderboard');
+    if (!panel) return;
+    
+    const opening = panel.style.display !== 'block';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) {
+        leaderboardView.filter = gameState.difficulty;
+        renderLeaderboard();
+    }
+}
+
+function setLeaderboardView(changes) {
+    Object.assign(leaderboardView, changes);
+    renderLeaderboard();
+}
+
+function renderLeaderboard() {
+    const panel = document.getElementById('leaderboard');
+    if (!panel) return;
+    
+    const { filter, sort } = leaderboardView;
+    const filters = [...Object.keys(Simulation.DIFFICULTY_SETTINGS), 'scenarios'];
+    const bySort = sort === 'years'
+        ? (a, b) => b.years - a.years || b.score - a.score
+        : (a, b) => b.score - a.score || b.years - a.years;
+    const runs = readRunHistory()
+        .filter(run => filter === 'scenarios' ? run.scenario : !run.scenario && run.difficulty === filter)
+        .sort(bySort);
+    
+    const sortHeader = (column, label) => `
+        <th class="leaderboard-sort" onclick="setLeaderboardView({ sort: '${column}' })">${label}${sort === column ? ' ▼' : ''}</th>
+    `;
+    
+    panel.innerHTML = `
+        <div class="save-slot-actions save-file-actions">
+            ${filters.map(option => `
+                <button class="save-slot-btn leaderboard-tab ${option === filter ? 'selected' : ''}" onclick="setLeaderboardView({ filter: '${option}' })">${option.toUpperCase()}</button>
+            `).join('')}
+        </div>
+        ${runs.length === 0 ? '<div class="save-slot-summary">No finished runs yet.</div>' : `
+            <table class="ledger-table leaderboard-table">
+                <tr>
+                    <th>#</th>
+                    <th>${filter === 'scenarios' ? 'Scenario' : 'Seed'}</th>
+                    ${sortHeader('score', 'Score')}
+                    ${sortHeader('years', 'Years')}
+                    <th>Grade</th>
+                    <th>End</th>
+                    <th>Date</th>
+                </tr>
+                ${runs.map((run, index) => `
+                    <tr class="leaderboard-row" onclick="showRunDetail(${run.id})">
+                        <td>${index + 1}</td>
+                        <td>${escapeHTML(describeRunSetup(run))}</td>
+                        <td>${run.score.toLocaleString()}</td>
+                        <td>${run.years}</td>
+                        <td>${run.grade}</td>
+                        <td title="${escapeHTML(run.reason)}">${run.outcome === 'victory' ? '🏆' : ''}${escapeHTML(run.reason.split(' ')[0])}</td>
+                        <td>${new Date(run.finishedAt).toLocaleDateString()}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `}
+    `;
+}
+
+// The scenario's name, or the seed code in free play. A scenario since
+// removed from the game is shown by its id.
+function describeRunSetup(run) {
+    if (!run.scenario) return run.seedCode;
+    
+    const scenario = Simulation.getScenario(run.scenario);
+    return scenario ? scenario.name : run.scenario;
+}
+
+function showRunDetail(runId) {
+    const panel = document.getElementById('leaderboard');
+    const run = readRunHistory().find(other => other.id === runId);
+    if (!panel || !run) return;
+    
+    const scenario = Simulation.getScenario(run.scenario);
+    const achievements = run.achievements
+        .filter(unlockId => Simulation.describeAchievement(unlockId))
+        .map(describeAchievementUnlock)
+        .join(', ') || 'None';
+    
+    panel.innerHTML = `
+        <div class="save-slot-actions save-file-actions">
+            <button class="save-slot-btn" onclick="renderLeaderboard()">← Back</button>
+            ${run.scenario && !scenario ? '' : `<button class="save-slot-btn" onclick="replayRun(${run.id})">▶ Play This ${scenario ? 'Scenario' : 'Seed'}</button>`}
+        </div>
+        <div class="results-reason ${run.outcome === 'victory' ? 'results-victory' : ''}">${escapeHTML(run.reason)}</div>
+        <div class="results-header">
+            <div class="results-grade">${run.grade}</div>
+            <div class="results-stats">
+                <p><strong>${scenario ? `${scenario.icon} ${scenario.name}` : escapeHTML(describeRunSetup(run))}</strong> • ${run.difficulty.toUpperCase()} • ${new Date(run.finishedAt).toLocaleString()}</p>
+                <p><strong>Score:</strong> ${run.score.toLocaleString()} • <strong>Grade:</strong> ${run.points}/100 • <strong>Years:</strong> ${run.years}</p>
+                <p><strong>Population:</strong> ${run.population.toLocaleString()} • <strong>GDP:</strong> $${run.gdp.toLocaleString()}</p>
+                <p><strong>Happiness:</strong> ${run.happiness.toFixed(0)}% • <strong>Unemployment:</strong> ${run.unemployment.toFixed(1)}%</p>
+                <p><strong>Budget:</strong> $${run.budget.toLocaleString()} • <strong>Debt:</strong> $${run.debt.toLocaleString()}</p>
+                <p><strong>Achievements:</strong> ${achievements}</p>
+            </div>
+        </div>
+        <canvas class="results-chart" id="runChart"></canvas>
+        <div class="results-columns">
+            <div>
+                <div class="results-section-title">📍 TURNING POINTS</div>
+                ${run.turningPoints.map(point => `<div class="results-row"><strong>${point.year}</strong> ${point.summary || 'No change'}</div>`).join('') || '<div class="results-row">No finished years.</div>'}
+            </div>
+            <div>
+                <div class="results-section-title">⚙️ POLICIES USED</div>
+                ${run.policies.map(policy => `<div class="results-row">${policy.icon} ${policy.name} • ${policy.years} year${policy.years === 1 ? '' : 's'}</div>`).join('') || '<div class="results-row">None</div>'}
+            </div>
+        </div>
+    `;
+    
+    drawRunChart(document.getElementById('runChart'), run.timeline, run.turningPoints.map(point => point.year));
+}
+
+function replayRun(runId) {
+    const run = readRunHistory().find(other => other.id === runId);
+    if (!run || (run.scenario && !Simulation.getScenario(run.scenario))) return;
+    
+    startGame(run.scenario ? { scenario: run.scenario } : { difficulty: run.difficulty, seed: run.seed });
+}
+
+// Achievement Gallery
+// Unlocked tiers and the best progress toward each achievement are kept in
+// the browser, so a tier earned once stays earned in every later run. The
+// record is written in years that unlock a tier, with every save (autosaves
+// included, so also when a new game replaces the run), when a run ends or is
+// replaced by a loaded game, and when the page is left.
+function readAchievementRecord() {
+    try {
+        const record = JSON.parse(localStorage.getItem(CONFIG.ACHIEVEMENTS_KEY));
+        return record && record.unlocked && record.best ? record : { unlocked: {}, best: {} };
+    } catch (error) {
+        // An unreadable record starts the gallery afresh
+        return { unlocked: {}, best: {} };
+    }
+}
+
+function recordAchievementProgress() {
+    const record = readAchievementRecord();
+    gameState.sim.achievements.forEach(unlockId => {
+        if (!record.unlocked[unlockId]) record.unlocked[unlockId] = Date.now();
+    });
+    Simulation.getAchievementProgress(gameState.sim).forEach(achievement => {
+        record.best[achievement.id] = Math.max(record.best[achievement.id] || 0, achievement.value);
+    });
+    
+    try {
+        localStorage.setItem(CONFIG.ACHIEVEMENTS_KEY, JSON.stringify(record));
+    } catch (error) {
+        showNotification('⚠️ Could not save achievements: browser storage unavailable or full', 'error');
+    }
+}
+
+function describeAchievementUnlock(unlockId) {
+    const achievement = Simulation.describeAchievement(unlockId);
+    return achievement ? `${achievement.icon} ${achievement.name}` : unlockId;
+}
+
+function toggleAchievementGallery() {
+    const panel = document.getElementById('achievementGallery');
+    if (!panel) return;
+    
+    const opening = panel.style.display !== 'block';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) renderAchievementGallery();
+}
+
+function renderAchievementGallery() {
+    const panel = document.getElementById('achievementGallery');
+    if (!panel) return;
+    
+    const record = readAchievementRecord();
+    const achievements = Simulation.getAchievementProgress(gameState.sim);
+    const unlockedCount = achievements.reduce((sum, achievement) =>
+        sum + achievement.tiers.filter(tier => tier.unlocked || record.unlocked[tier.id]).length, 0);
+    
+    panel.innerHTML = `
+        <div class="achievement-gallery-total">${unlockedCount}/${Simulation.ACHIEVEMENT_TIER_COUNT} unlocked</div>
+        ${achievements.map(achievement => {
+            const tiers = achievement.tiers.map(tier => ({ ...tier, unlocked: tier.unlocked || !!record.unlocked[tier.id] }));
+            const next = tiers.find(tier => !tier.unlocked);
+            const best = Math.max(record.best[achievement.id] || 0, achievement.value);
+            
+            if (achievement.hidden && !tiers.some(tier => tier.unlocked)) {
+                return `
+                    <div class="save-slot achievement-hidden">
+                        <div class="save-slot-info">
+                            <div class="save-slot-name">❓ Hidden achievement</div>
+                            <div class="save-slot-summary">Keep playing to find out.</div>
+                        </div>
+                    </div>
+                `;
+            }
+            
+            const medals = tiers.length > 1
+                ? tiers.map((tier, index) => `<span class="${tier.unlocked ? '' : 'achievement-tier-locked'}" title="${tier.name}: ${tier.description}">${['🥉', '🥈', '🥇'][index]}</span>`).join('')
+                : (tiers[0].unlocked ? '✅' : '');
+            
+            return `
+                <div class="save-slot">
+                    <div class="save-slot-info">
+                        <div class="save-slot-name">${achievement.icon} ${achievement.name} ${medals}</div>
+                        <div class="save-slot-summary">
+                            ${next ? next.description : `${tiers[tiers.length - 1].description} ✔`}
+                            ${next && !achievement.hidden ? `
+                                <div class="progress-bar">
+                                    <div class="progress-fill achievement-progress" style="width: ${Math.min(100, best / next.goal * 100).toFixed(0)}%;"></div>
+                                </div>
+                                ${achievement.format(Math.min(best, next.goal))} / ${achievement.format(next.goal)}
+                            ` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+// Fiscal Ledger
+// Every finished year's budget line by line, newest first, so a shrinking
+// budget can be traced back to whatever drained it
+// Shown in the menu and on the results screen, each in its own panel
+function toggleLedger(panelId = 'ledger') {
+    const panel = document.getElementById(panelId);
+    if (!panel) return;
+    
+    const opening = panel.style.display !== 'block';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) renderLedger(panelId);
+}
+
+function renderLedger(panelId = 'ledger') {
+    const panel = document.getElementById(panelId);
+    if (!panel) return;
+    
+    const records = gameState.sim.history.slice(1).slice(-CONFIG.LEDGER_YEARS).reverse();
+    if (records.length === 0) {
+        panel.innerHTML = '<div class="save-slot-summary">No finished years yet.</div>';
+        return;
+    }
+    
+    // One row per line item, in the order items first appeared
+    const labels = new Map();
+    const amounts = records.map(record => {
+        const byId = {};
+        record.budgetItems.forEach(item => {
+            if (!labels.has(item.id)) labels.set(item.id, item.label);
+            byId[item.id] = (byId[item.id] || 0) + item.amount;
+        });
+        return byId;
+    });
+    
+    const formatAmount = amount => amount === undefined ? '–' : `${amount < 0 ? '-' : '+'}$${Math.abs(amount).toLocaleString()}`;
+    const amountClass = amount => amount === undefined ? '' : (amount < 0 ? 'ledger-expense' : 'ledger-income');
+    
+    panel.innerHTML = `
+        <table class="ledger-table">
+            <tr><th></th>${records.map(record => `<th>${record.year}</th>`).join('')}</tr>
+            ${Array.from(labels.keys()).map(id => `
+                <tr>
+                    <td>${escapeHTML(labels.get(id))}</td>
+                    ${amounts.map(year => `<td class="${amountClass(year[id])}">${formatAmount(year[id])}</td>`).join('')}
+                </tr>
+            `).join('')}
+            <tr class="ledger-total">
+                <td>Net change</td>
+                ${records.map(record => `<td class="${amountClass(record.budgetChange)}">${formatAmount(record.budgetChange)}</td>`).join('')}
+            </tr>
+            <tr class="ledger-total">
+                <td>Balance</td>
+                ${records.map(record => `<td class="${amountClass(record.budget)}">${formatAmount(record.budget)}</td>`).join('')}
+            </tr>
+        </table>
+    `;
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 // Particle Effects
 function createParticleEffect(position, color, count) {
     const particleGeometry = new THREE.BufferGeometry();
@@ -1532,7 +2834,7 @@ function initVRScene() {
     createGates();
     
     updateLoadingProgress(5, 'Generating city...');
-    createBuildings();
+    createBuildings(gameState.sim.buildings);
     
     updateLoadingProgress(6, 'Adding landmarks...');
     createMonument();
@@ -1542,7 +2844,9 @@ function initVRScene() {
     
     updateLoadingProgress(8, 'Finalizing...');
     setupControls();
+    setupSimEventHandlers();
     setupMiniMap();
+    setupCharts();
     animate();
     
     setTimeout(() => {
@@ -1630,4 +2934,11 @@ window.addEventListener('DOMContentLoaded', () => {
     window.showTutorial = showTutorial;
     window.showStats = showStats;
     window.toggleMenu = toggleMenu;
+    window.toggleSaveSlots = toggleSaveSlots;
+    window.saveGame = saveGame;
+    window.loadGame = loadGame;
+    window.deleteSave = deleteSave;
+    window.exportSaveFile = exportSaveFile;
+    window.openSaveFilePicker = openSaveFilePicker;
+    window.exportTimeline = exportTimeline;
 });
@@ -0,0 +1,3439 @@
+// ==============================================
+// NATION BUILDER VR - SIMULATION CORE
+// ==============================================
+// Pure economy model. No Three.js, no DOM: every function takes a state,
+// returns the next state and a list of events describing what happened.
+// The 3D world and HUD in script.js subscribe to those events; in Node the
+// same module can be required to run thousands of years headless:
+//
+//   const Simulation = require('./simulation.js');
+//   let state = Simulation.createInitialState({ difficulty: 'hard' });
+//   ({ state } = Simulation.runYears(state, 1000));
+
+(function (root) {
+    'use strict';
+
+    // ==============================================
+    // SECTION 1: CONFIGURATION
+    // ==============================================
+
+    const SIM_CONFIG = {
+        START_YEAR: 2024,
+        INITIAL_POPULATION: 1000,
+        INITIAL_GDP: 55000,
+        INITIAL_HAPPINESS: 70,
+        INITIAL_BUDGET: 10000,
+        EVENT_CHANCE: 0.25
+    };
+
+    const DIFFICULTY_SETTINGS = {
+        easy: { budget: 10000, happinessDrain: 1, unempMultiplier: 0.7, gdpMultiplier: 1.3 },
+        medium: { budget: 5000, happinessDrain: 2, unempMultiplier: 1.0, gdpMultiplier: 1.0 },
+        hard: { budget: 2000, happinessDrain: 3.5, unempMultiplier: 1.5, gdpMultiplier: 0.7 }
+    };
+
+    // Age cohorts. Every year working-age adults have children, each cohort
+    // loses a share to mortality, and a share of children and workers age
+    // into the next cohort. Left alone the nation slowly shrinks and gets
+    // older; immigration is what keeps the workforce growing.
+    const COHORTS = ['children', 'working', 'retirees'];
+
+    const DEMOGRAPHICS = {
+        INITIAL_SHARES: { children: 0.23, working: 0.58, retirees: 0.19 },
+        FERTILITY: 0.022,                                   // births per working-age adult
+        MORTALITY: { children: 0.001, working: 0.003, retirees: 0.067 },
+        AGING: { children: 1 / 18, working: 1 / 47 },       // share moving up a cohort
+        WORKERS_PER_GDP_POINT: 60,                          // base growth: +$1 GDP per 60 workers
+        GDP_PER_WORKER: 90,                                 // output gained or lost per worker from births, aging and deaths
+        AGING_ALERT_YEARS: 5,                               // warn when the workforce is smaller than this many years ago...
+        AGING_ALERT_DECLINE: 0.01                           // ...by at least this share
+    };
+
+    // City sectors, in the order the layout generator deals them. Every open
+    // building offers `jobs` for workers with the sector's skill. How many
+    // buildings a sector wants follows `grows` (population or gdp): local
+    // services follow residents, the rest follows the economy. Skilled
+    // workers take general jobs once their own sectors are full, never the
+    // other way round. Unemployment is whoever is left without a job.
+    const SECTORS = [
+        { id: 'Residential', icon: '🏠', skill: 'general', jobs: 13, grows: 'population' },
+        { id: 'Commercial', icon: '🏪', skill: 'general', jobs: 27, grows: 'population' },
+        { id: 'Government', icon: '🏛️', skill: 'skilled', jobs: 19, grows: 'population' },
+        { id: 'Industrial', icon: '🏭', skill: 'general', jobs: 31, grows: 'population' },
+        { id: 'Tech', icon: '💻', skill: 'skilled', jobs: 21, grows: 'gdp' }
+    ];
+
+    const LABOR = {
+        SKILLED_SHARE: 0.35     // of the starting workforce and of children coming of age
+    };
+
+    // City growth. Every sector aims for its starting number of buildings
+    // scaled by how much its `grows` driver has grown. Each year the city
+    // reopens empty buildings or builds on free lots to reach that target,
+    // and empties buildings out when a sector has more than it can fill.
+    const CITY = {
+        START_BUILDINGS: 25,
+        RADIUS: 45,                 // new buildings stay inside this circle...
+        CENTER_CLEARANCE: 8,        // ...and outside the monument's plaza
+        LOT_GAP: 1,                 // minimum space between two buildings
+        LOT_ATTEMPTS: 60,
+        MAX_BUILDS_PER_YEAR: 2,
+        MAX_CLOSURES_PER_YEAR: 1,
+        SURPLUS: 1,                 // buildings above target before one empties out
+        DEMOLISH_AFTER: 6           // years a building stands empty before it is torn down
+    };
+
+    // Immigrant integration. Each policy's yearly intake is tracked as a
+    // cohort whose integration (0-1) rises every year by the policy's rate,
+    // faster when people are happy and slower when jobs are scarce. Working
+    // age immigrants only look for jobs once integrated, and every newly
+    // integrated person adds GDP.
+    const INTEGRATION = {
+        HAPPINESS_REFERENCE: 70,        // happiness at which rates apply as written
+        UNEMPLOYMENT_REFERENCE: 5,      // each unemployment point above this...
+        UNEMPLOYMENT_DRAG: 0.04,        // ...slows integration by this share
+        MIN_PACE: 0.2,                  // integration never slows below this share
+        MAX_PACE: 1.5,
+        GDP_PER_PERSON: 25,
+        JOB_SEEKING: 0.5,               // share of not yet integrated working-age immigrants looking (in vain) for work
+        COMPLETE: 0.99                  // cohorts this integrated become citizens
+    };
+
+    // Fiscal policy. The player sets the income tax rate and how generously
+    // each public service is funded, as a percentage of its standard budget
+    // (`perCapita` per resident at 100%). Taxes above the standard rate slow
+    // GDP growth and cost happiness every year; below it they do the
+    // opposite. Funding away from 100% adds each service's `happiness` per
+    // 100 points, plus:
+    //   healthcare  lowers (or raises) mortality
+    //   education   raises the skilled share of children coming of age,
+    //               catching up a little every year
+    //   housing     speeds up (or slows down) immigrant integration
+    // At standard funding the services cost 0.8 per resident in all, what
+    // public services always cost.
+    const FISCAL = {
+        TAX: { standard: 25, min: 10, max: 50, step: 5 },
+        TAX_HAPPINESS: 0.2,         // happiness lost per year per point above standard
+        TAX_GDP: 0.0008,            // share of GDP growth lost per year per point above standard
+        SPENDING: [
+            { id: 'healthcare', name: 'Healthcare', icon: '🏥', perCapita: 0.3, happiness: 1.5 },
+            { id: 'education', name: 'Education', icon: '🎓', perCapita: 0.25, happiness: 0.5 },
+            { id: 'housing', name: 'Housing', icon: '🏘️', perCapita: 0.15, happiness: 1 },
+            { id: 'security', name: 'Security', icon: '🛡️', perCapita: 0.1, happiness: 1 }
+        ],
+        LEVEL: { standard: 100, min: 0, max: 200, step: 25 },
+        HEALTHCARE_MORTALITY: 0.3,  // mortality change at 0% / 200% funding
+        EDUCATION_SKILLS: 0.5,      // skilled school leavers change at 0% / 200% funding...
+        EDUCATION_CATCH_UP: 0.1,    // ...reached by this share of the gap per year
+        HOUSING_INTEGRATION: 0.2    // integration pace change at 0% / 200% funding
+    };
+
+    // National debt. Debt is the bonds and loans outstanding plus any
+    // overdraft (a negative budget). It costs interest every year at a rate
+    // that rises with debt-to-GDP, and the same ratio sets the credit
+    // rating. Every year that ends with an overdraft is a missed payment,
+    // which also costs a notch of rating; too many in a row is a default.
+    const DEBT = {
+        BASE_RATE: 0.02,                // yearly interest with no debt...
+        RATE_PER_DEBT_RATIO: 0.08,      // ...plus this much per 100% debt-to-GDP
+        RATINGS: [                      // best first; `maxRatio` is the debt-to-GDP it allows
+            { id: 'AAA', maxRatio: 0.25 },
+            { id: 'AA', maxRatio: 0.5 },
+            { id: 'A', maxRatio: 0.75 },
+            { id: 'BBB', maxRatio: 1 },
+            { id: 'BB', maxRatio: 1.5 },
+            { id: 'B', maxRatio: 2 },
+            { id: 'CCC', maxRatio: Infinity }
+        ],
+        BOND_SIZE: 5000,                // raised per bond issue and repaid per payment
+        BOND_MIN_RATING: 'BB',          // markets stop buying below this rating
+        EMERGENCY_LOAN: 20000,
+        AUSTERITY_YEARS: 5,             // after an emergency loan...
+        AUSTERITY_FUNDING: 75,          // ...no service may be funded above this
+        MISSED_PAYMENTS: 3              // overdrawn years in a row before a default
+    };
+
+    // Policy registry. Everything about a policy lives here: the HUD cards,
+    // hotkeys (registry order), tooltips and the yearly simulation are all
+    // generated from these definitions.
+    //
+    //   cost            paid when enabled and every year after; negative = income
+    //   effects         per-year changes while active
+    //   sideEffects     [{ chance, effects, message, level }] rolled every year
+    //   integration     { start, rate } how integrated each year's arrivals
+    //                   are on arrival and how much they gain per year
+    //   integrationBoost added to every cohort's yearly gain while active
+    //   multipliers     scale the year's total change (after every policy)
+    //   proportional    { effects, message } fractions of current population/gdp
+    //   figures, color  people spawned at the gates and their shirt color
+    //   ageProfile      { children, working, retirees } shares of the people
+    //                   a policy brings in (or sends away); side effects may
+    //                   carry their own. Without one, people follow the
+    //                   nation's current age mix.
+    //   skilledShare    share of the working-age people it brings who are
+    //                   skilled (see SECTORS); side effects may carry their own
+    //   quota           { reference, max, step } annual intake the player can
+    //                   set; effects, cost and figures are given at
+    //                   `reference` and scale linearly with the chosen quota.
+    //                   Policies without a quota are simply on or off.
+    //
+    // Effects may touch population, gdp, happiness, unemployment and budget.
+    const POLICIES = [
+        {
+            id: 'openBorders',
+            name: 'Open Borders',
+            icon: '🌐',
+            cost: 700,
+            figures: 6,
+            color: 0xe74c3c,
+            quota: { reference: 60, max: 120, step: 10 },
+            ageProfile: { children: 0.2, working: 0.72, retirees: 0.08 },
+            integration: { start: 0.2, rate: 0.15 },
+            skilledShare: 0.15,
+            effects: { population: 60, gdp: 1200, happiness: -12 },
+            summary: 'Many immigrants, GDP boost, but hurts happiness',
+            description: 'Allows unrestricted immigration.'
+        },
+        {
+            id: 'skilledWorker',
+            name: 'Skilled Workers',
+            icon: '💼',
+            cost: 600,
+            figures: 4,
+            color: 0x9b59b6,
+            quota: { reference: 20, max: 100, step: 10 },
+            ageProfile: { children: 0.1, working: 0.88, retirees: 0.02 },
+            integration: { start: 0.5, rate: 0.25 },
+            skilledShare: 0.9,
+            effects: { population: 20, gdp: 2200, happiness: -5 },
+            sideEffects: [
+                { chance: 0.15, effects: { population: -3 }, ageProfile: { working: 1 }, skilledShare: 1, message: '🧠 Skilled workers leaving for better opportunities abroad', level: 'error' }
+            ],
+            summary: 'High GDP, but expensive and causes resentment',
+            description: 'Attracts educated professionals. Risk: Brain drain.'
+        },
+        {
+            id: 'refugee',
+            name: 'Refugee Program',
+            icon: '🛡️',
+            cost: 900,
+            figures: 5,
+            color: 0xf39c12,
+            quota: { reference: 30, max: 90, step: 10 },
+            ageProfile: { children: 0.35, working: 0.55, retirees: 0.1 },
+            integration: { start: 0.1, rate: 0.15 },
+            skilledShare: 0.1,
+            effects: { population: 30, happiness: 8, gdp: -400 },
+            enableMessage: '🛡️ Refugee Program: Refugees need a few years to integrate',
+            summary: 'Humanitarian, but costly short-term',
+            description: 'Provides asylum to refugees. They contribute more as they integrate.'
+        },
+        {
+            id: 'family',
+            name: 'Family Reunion',
+            icon: '👨‍👩‍👧‍👦',
+            cost: 400,
+            figures: 5,
+            color: 0xe91e63,
+            quota: { reference: 25, max: 75, step: 5 },
+            ageProfile: { children: 0.4, working: 0.35, retirees: 0.25 },
+            integration: { start: 0.3, rate: 0.2 },
+            skilledShare: 0.2,
+            effects: { population: 25, happiness: 15, gdp: -300 },
+            sideEffects: [
+                { chance: 0.3, effects: { population: 5 }, ageProfile: { children: 1 }, message: '👶 Family policies lead to baby boom!', level: 'success' }
+            ],
+            summary: 'Great for happiness, but economic strain',
+            description: 'Allows family reunification. May cause baby boom.'
+        },
+        {
+            id: 'investor',
+            name: 'Investor Visa',
+            icon: '💰',
+            cost: -1500,
+            figures: 2,
+            color: 0x2ecc71,
+            quota: { reference: 8, max: 40, step: 2 },
+            ageProfile: { children: 0.15, working: 0.7, retirees: 0.15 },
+            integration: { start: 0.4, rate: 0.2 },
+            skilledShare: 0.6,
+            effects: { population: 8, gdp: 1800, happiness: -8 },
+            sideEffects: [
+                { chance: 0.1, effects: { budget: -1000, happiness: -10 }, message: '⚖️ Investor visa corruption scandal!', level: 'error' }
+            ],
+            summary: 'Immediate cash, but inequality and corruption risk',
+            description: 'Attracts wealthy investors who pay for the privilege. Risk: Corruption.'
+        },
+        {
+            id: 'strict',
+            name: 'Strict Control',
+            icon: '🚫',
+            cost: 300,
+            figures: 0,
+            color: 0x3498db,
+            effects: { happiness: 20 },
+            multipliers: { population: 0.5, gdp: 0.7 },
+            proportional: {
+                effects: { gdp: -0.01 },
+                message: '📉 Border controls slow trade'
+            },
+            summary: 'Security and happiness, but economic decline',
+            description: 'Enforces strict immigration controls. Without newcomers the population ages.'
+        },
+        {
+            id: 'language',
+            name: 'Language Programs',
+            icon: '🗣️',
+            cost: 500,
+            figures: 0,
+            color: 0x1abc9c,
+            effects: { happiness: 2 },
+            integrationBoost: 0.1,
+            summary: 'Immigrants integrate faster, at a yearly cost',
+            description: 'Funds language and civics classes for newcomers.'
+        }
+    ];
+
+    // How policies combine. Each rule names a pair of policies:
+    //   exclusive  the pair can't be active together; enabling one is refused
+    //   synergy    bonus effects every year both are active
+    //   conflict   penalty effects every year both are active
+    // Rule effects are flat (not scaled by quota) and apply after every
+    // policy's own effects and multipliers, so the order of POLICIES never
+    // changes the outcome. `boostsIntegration` { policy, amount } adds to the
+    // yearly integration of that policy's cohorts.
+    const POLICY_INTERACTIONS = [
+        {
+            type: 'exclusive',
+            policies: ['openBorders', 'strict'],
+            description: 'Borders cannot be open and strictly controlled at the same time.'
+        },
+        {
+            type: 'synergy',
+            policies: ['family', 'refugee'],
+            effects: { happiness: 3 },
+            boostsIntegration: { policy: 'refugee', amount: 0.05 },
+            description: 'Reunited families help refugees settle in: they integrate faster.'
+        },
+        {
+            type: 'synergy',
+            policies: ['skilledWorker', 'investor'],
+            effects: { gdp: 800 },
+            description: 'Investor capital puts skilled workers to work in new companies.'
+        },
+        {
+            type: 'conflict',
+            policies: ['refugee', 'strict'],
+            effects: { happiness: -6, gdp: -300 },
+            description: 'Welcoming refugees while cracking down on immigration sends mixed signals.'
+        },
+        {
+            type: 'conflict',
+            policies: ['family', 'strict'],
+            effects: { happiness: -5 },
+            description: 'Promising reunions while keeping relatives out breeds resentment.'
+        }
+    ];
+
+    const POLICY_BY_ID = {};
+    POLICIES.forEach(policy => {
+        POLICY_BY_ID[policy.id] = policy;
+    });
+
+    const SEED_CODE_LETTERS = { easy: 'E', medium: 'M', hard: 'H' };
+
+    // Random event registry. At the end of every year, with
+    // SIM_CONFIG.EVENT_CHANCE, one event is drawn by weight from those
+    // currently eligible; follow-ups scheduled by earlier events fire on
+    // top of that.
+    //
+    //   weight       number or state => number; 0 means the event only
+    //                ever happens as a follow-up
+    //   condition    state => boolean; the event is skipped while false
+    //   cooldown     years before the event can be drawn again
+    //   effects      applied once: gdp, happiness, unemployment (this year's
+    //                figure only), budget and populationShare (a share of
+    //                the population lost). [min, max] rolls an amount.
+    //   lasting      { years, effects } applied in each of the next years
+    //   followUps    [{ event, delay, chance }] events that fire `delay`
+    //                years later (with `chance`, default always)
+    //   variants     [{ weight, ... }] one is rolled and its fields replace
+    //                the event's, e.g. how bad a disaster is
+    //   message      text, or (rolled effects) => text; `level` styles it
+    //   ledgerLabel  budget line for its costs (default: the name)
+    //   color, particles  the burst of particles shown when it happens
+    //   options      makes it a decision: the game waits for the player to
+    //                pick one of [{ label, hint, effects, lasting, arrivals,
+    //                followUps, ledgerLabel }]. `arrivals` { count, policy }
+    //                lets people in at once as that policy would; `hint`
+    //                replaces the spelled-out effects. `description` sets
+    //                the scene and `defaultOption` is taken if a new year
+    //                starts before anyone chooses (headless runs).
+    const RANDOM_EVENTS = [
+        {
+            id: 'economicBoom',
+            name: 'Economic Boom',
+            weight: state => state.unemployment < 10 ? 0.25 : 0.1,
+            cooldown: 3,
+            effects: { gdp: [2000, 5000], happiness: 5 },
+            message: effects => `🚀 ECONOMIC BOOM! GDP +$${effects.gdp.toLocaleString()}`,
+            level: 'success',
+            color: 0xffcc00,
+            particles: 25
+        },
+        {
+            id: 'naturalDisaster',
+            name: 'Natural Disaster',
+            weight: 0.2,
+            cooldown: 1,
+            variants: [
+                {
+                    weight: 0.33,
+                    effects: { gdp: -1200, happiness: -8, populationShare: -0.002, budget: -500 },
+                    message: '🌧️ Minor Flooding!',
+                    ledgerLabel: 'Flood relief'
+                },
+                {
+                    weight: 0.33,
+                    effects: { gdp: -2500, happiness: -15, populationShare: -0.005, budget: -1000 },
+                    followUps: [{ event: 'reconstruction', delay: 1 }],
+                    message: '🌪️ Severe Storm!',
+                    ledgerLabel: 'Storm relief'
+                },
+                {
+                    weight: 0.34,
+                    effects: { gdp: -5000, happiness: -25, populationShare: -0.01, budget: -2000 },
+                    followUps: [{ event: 'reconstruction', delay: 1 }, { event: 'aftershock', delay: 1, chance: 0.3 }],
+                    message: '🔥 MAJOR EARTHQUAKE!',
+                    ledgerLabel: 'Earthquake relief'
+                }
+            ],
+            level: 'error',
+            color: 0xff0000,
+            particles: 30
+        },
+        {
+            id: 'reconstruction',
+            name: 'Reconstruction',
+            weight: 0,
+            lasting: { years: 3, effects: { budget: -600, gdp: 400 } },
+            message: '🏗️ Reconstruction begins: three years of rebuilding',
+            level: 'info',
+            color: 0xffa500,
+            particles: 15
+        },
+        {
+            id: 'aftershock',
+            name: 'Aftershock',
+            weight: 0,
+            effects: { gdp: -1000, happiness: -5, populationShare: -0.001, budget: -300 },
+            message: '🫨 Aftershock!',
+            ledgerLabel: 'Aftershock relief',
+            level: 'error',
+            color: 0xff0000,
+            particles: 15
+        },
+        {
+            id: 'techBreakthrough',
+            name: 'Tech Breakthrough',
+            // Likelier the more skilled the workforce
+            weight: state => 0.15 * getSkilledShare(state) / LABOR.SKILLED_SHARE,
+            cooldown: 4,
+            effects: { unemployment: -2.5, gdp: 1500, budget: -300 },
+            message: '💡 TECH BREAKTHROUGH!',
+            ledgerLabel: 'Tech Breakthrough grants',
+            level: 'success',
+            color: 0x00ffff,
+            particles: 20
+        },
+        {
+            id: 'culturalFestival',
+            name: 'Cultural Festival',
+            weight: 0.1,
+            cooldown: 2,
+            effects: { happiness: 12, budget: -200 },
+            message: '🎭 CULTURAL FESTIVAL!',
+            level: 'success',
+            color: 0xff69b4,
+            particles: 18
+        },
+        {
+            id: 'tradeWar',
+            name: 'Trade War',
+            weight: 0.1,
+            cooldown: 6,
+            effects: { gdp: -1800, unemployment: 1.5 },
+            lasting: { years: 2, effects: { gdp: -500, unemployment: 0.5 } },
+            followUps: [{ event: 'tradeDeal', delay: 3, chance: 0.5 }],
+            message: '⚔️ TRADE WAR!',
+            level: 'error',
+            color: 0x8B0000,
+            particles: 15
+        },
+        {
+            id: 'tradeDeal',
+            name: 'Trade Deal',
+            weight: 0,
+            effects: { gdp: 1500, happiness: 3 },
+            message: '🤝 TRADE DEAL! Tariffs are lifted',
+            level: 'success',
+            color: 0x00ff88,
+            particles: 20
+        },
+        {
+            id: 'refugeeCrisis',
+            name: 'Refugee Crisis',
+            weight: 0.08,
+            cooldown: 8,
+            description: 'War has broken out next door. Thousands of refugees are gathering at the East Gate, asking to be let in.',
+            options: [
+                {
+                    label: 'Open the gate',
+                    arrivals: { count: 60, policy: 'refugee' },
+                    effects: { happiness: -4, budget: -1500 },
+                    lasting: { years: 3, effects: { budget: -500 } },
+                    ledgerLabel: 'Refugee crisis relief'
+                },
+                {
+                    label: 'Take in families with children',
+                    arrivals: { count: 25, policy: 'family' },
+                    effects: { budget: -600 },
+                    ledgerLabel: 'Refugee crisis relief'
+                },
+                {
+                    label: 'Keep the gate shut',
+                    hint: 'Popular at home, but trading partners will remember',
+                    effects: { happiness: 3 },
+                    lasting: { years: 3, effects: { gdp: -400 } }
+                }
+            ],
+            defaultOption: 2,
+            message: '🚨 REFUGEE CRISIS at the East Gate!',
+            level: 'error',
+            color: 0xff9800,
+            particles: 20
+        },
+        {
+            id: 'corporateRelocation',
+            name: 'Corporate Relocation',
+            condition: state => state.fiscal.taxRate >= FISCAL.TAX.standard,
+            weight: 0.07,
+            cooldown: 8,
+            description: 'A large corporation offers to move its headquarters here, bringing jobs and skilled staff, if it gets a tax break.',
+            options: [
+                {
+                    label: 'Grant the tax break',
+                    arrivals: { count: 15, policy: 'skilledWorker' },
+                    lasting: { years: 5, effects: { gdp: 1200, budget: -1500 } },
+                    ledgerLabel: 'Corporate tax break'
+                },
+                {
+                    label: 'Offer half',
+                    hint: 'Maybe they take it, maybe they walk away',
+                    followUps: [{ event: 'corporateDeal', delay: 1, chance: 0.5 }]
+                },
+                {
+                    label: 'Refuse special treatment',
+                    effects: { happiness: 2 }
+                }
+            ],
+            defaultOption: 2,
+            message: '🏢 A corporation wants to move here',
+            level: 'info',
+            color: 0x3498db,
+            particles: 15
+        },
+        {
+            id: 'corporateDeal',
+            name: 'Corporate Deal',
+            weight: 0,
+            arrivals: { count: 8, policy: 'skilledWorker' },
+            lasting: { years: 5, effects: { gdp: 600, budget: -750 } },
+            message: '🏢 The corporation accepted the counter-offer!',
+            ledgerLabel: 'Corporate tax break',
+            level: 'success',
+            color: 0x3498db,
+            particles: 15
+        },
+        {
+            id: 'laborTreaty',
+            name: 'Labor Exchange Treaty',
+            condition: state => state.unemployment < 8,
+            weight: 0.07,
+            cooldown: 10,
+            description: 'A neighboring country proposes a labor-exchange treaty: its workers may take jobs here for the next five years.',
+            options: [
+                {
+                    label: 'Sign the treaty',
+                    lasting: { years: 5, effects: { population: 15, gdp: 400, happiness: -1 } }
+                },
+                {
+                    label: 'Decline politely',
+                    hint: 'Nothing changes'
+                }
+            ],
+            defaultOption: 1,
+            message: '🤝 A neighbor proposes a labor-exchange treaty',
+            level: 'info',
+            color: 0x1abc9c,
+            particles: 15
+        },
+        {
+            id: 'recession',
+            name: 'Recession',
+            condition: state => state.unemployment > 15,
+            weight: 0.4,
+            cooldown: 5,
+            effects: { gdp: -3000, happiness: -6 },
+            lasting: { years: 2, effects: { gdp: -800, happiness: -2 } },
+            message: '📉 RECESSION! Businesses are closing',
+            level: 'error',
+            color: 0x8B0000,
+            particles: 15
+        }
+    ];
+
+    // Achievements. Each one measures the run with `progress`, from the
+    // current state or its history, and is unlocked tier by tier as that
+    // reaches each goal in `tiers` (ascending; three tiers are Bronze,
+    // Silver and Gold). A tier's id is the achievement id plus its number,
+    // e.g. 'population.2'.
+    //
+    //   description  shown with the next goal in place of {goal}
+    //   format       how goals and progress are written (default: a number)
+    //   hidden       name and description stay secret until unlocked
+    const ACHIEVEMENT_TIER_NAMES = ['Bronze', 'Silver', 'Gold'];
+
+    const ACHIEVEMENTS = [
+        {
+            id: 'population',
+            name: 'Growing Nation',
+            icon: '👥',
+            description: 'Reach a population of {goal}',
+            progress: state => state.population,
+            tiers: [1500, 2500, 4000]
+        },
+        {
+            id: 'gdp',
+            name: 'Economic Powerhouse',
+            icon: '💰',
+            description: 'Reach a GDP of {goal}',
+            format: value => `$${value.toLocaleString()}`,
+            progress: state => state.gdp,
+            tiers: [80000, 120000, 200000]
+        },
+        {
+            id: 'contentment',
+            name: 'Content Nation',
+            icon: '😊',
+            description: 'Keep happiness at 50% or more for {goal} years in a row',
+            progress: state => countYearsInARow(state, record => record.happiness >= 50),
+            tiers: [5, 10, 20]
+        },
+        {
+            id: 'employment',
+            name: 'Jobs for All',
+            icon: '💼',
+            description: 'Keep unemployment at 3% or less for {goal} years in a row',
+            progress: state => countYearsInARow(state, record => record.unemployment <= 3),
+            tiers: [3, 8, 15]
+        },
+        {
+            id: 'longevity',
+            name: 'Decades of Progress',
+            icon: '📅',
+            description: 'Play {goal} years',
+            progress: state => state.year - SIM_CONFIG.START_YEAR,
+            tiers: [10, 25, 50]
+        },
+        {
+            id: 'integration',
+            name: 'Melting Pot',
+            icon: '🤝',
+            description: 'Fully integrate {goal} immigrants',
+            progress: state => Object.keys(state.integrated).reduce((sum, policyId) => sum + state.integrated[policyId], 0),
+            tiers: [100, 500, 1500]
+        },
+        {
+            id: 'score',
+            name: 'Master Builder',
+            icon: '⭐',
+            description: 'Score {goal} points',
+            progress: state => state.score,
+            tiers: [1000, 3000, 6000]
+        },
+        {
+            id: 'phoenix',
+            name: 'Phoenix',
+            icon: '🔥',
+            description: 'Bring unemployment from 15% or more back down to 5%',
+            hidden: true,
+            progress: state => state.unemployment <= 5 && state.history.some(record => record.unemployment >= 15) ? 1 : 0,
+            tiers: [1]
+        },
+        {
+            id: 'cleanSlate',
+            name: 'Clean Slate',
+            icon: '🧾',
+            description: 'Owe $20,000 or more, then repay every cent',
+            hidden: true,
+            progress: state => getTotalDebt(state) === 0 && state.history.some(record => record.debt >= 20000) ? 1 : 0,
+            tiers: [1]
+        },
+        {
+            id: 'openArms',
+            name: 'Open Arms',
+            icon: '🕊️',
+            description: 'Open the gate to refugees in a crisis',
+            hidden: true,
+            progress: state => state.decisions.some(decision => decision.event === 'refugeeCrisis' && decision.option === 0) ? 1 : 0,
+            tiers: [1]
+        }
+    ];
+
+    const ACHIEVEMENT_TIER_COUNT = ACHIEVEMENTS.reduce((sum, achievement) => sum + achievement.tiers.length, 0);
+
+    // Ways to win free play, in the same shape as scenario objectives (see
+    // below): the first one whose objectives all hold at the end of a year
+    // wins the run. Lasting alone isn't enough: a nation left to itself
+    // shrinks, so endurance also asks for growth and a content people.
+    const VICTORY_CONDITIONS = [
+        {
+            id: 'endurance',
+            name: 'A Nation That Lasts',
+            icon: '🏛️',
+            objectives: [
+                { stat: 'year', min: SIM_CONFIG.START_YEAR + 25 },
+                { stat: 'population', min: 1200 },
+                { stat: 'happiness', min: 50 }
+            ]
+        },
+        {
+            id: 'prosperity',
+            name: 'Prosperity for All',
+            icon: '💎',
+            objectives: [{ stat: 'gdp', min: 120000 }, { stat: 'happiness', min: 75 }]
+        }
+    ];
+
+    // Ways a run is lost, checked in order at the end of every year. The
+    // advisor projects these to warn the player ahead of time.
+    const FAILURE_CONDITIONS = [
+        {
+            id: 'happiness',
+            icon: '💔',
+            warning: 'Happiness hits 0%',
+            reason: '💔 Your nation collapsed due to extreme unhappiness!',
+            failed: state => state.happiness <= 0
+        },
+        {
+            id: 'unemployment',
+            icon: '📉',
+            warning: 'Unemployment reaches 40%',
+            reason: '📉 Economic collapse! Unemployment reached critical levels!',
+            failed: state => state.unemployment >= 40
+        },
+        {
+            id: 'default',
+            icon: '💸',
+            warning: 'The nation defaults on its debt',
+            reason: '💸 Default! The nation could no longer service its debt!',
+            failed: state => state.missedPayments >= DEBT.MISSED_PAYMENTS
+        },
+        {
+            id: 'population',
+            icon: '⚠️',
+            warning: 'Population falls to 500',
+            reason: '⚠️ Population crisis! Not enough citizens!',
+            failed: state => state.population <= 500
+        },
+        {
+            id: 'election',
+            icon: '🗳️',
+            warning: 'The government loses the election',
+            reason: '🗳️ Voted out! The government lost the election!',
+            failed: state => state.elections.length > 0 && state.elections[state.elections.length - 1].outcome === 'defeat'
+        }
+    ];
+
+    // Elections. Every TERM years the government's vote share is its
+    // approval: loyal voters plus points for happiness, the economy and the
+    // term's good news, minus points for unemployment, bad news and
+    // flip-flopping (switching a policy back again within the term). A
+    // majority governs alone; short of one but above COALITION it governs
+    // with a partner (see PARTIES), and the compromises cost COALITION_UNREST
+    // happiness every year it does; below that it is voted out.
+    const ELECTIONS = {
+        TERM: 4,
+        MAJORITY: 50,
+        COALITION: 35,
+        COALITION_UNREST: 3,
+        APPROVAL: {
+            BASE: 20,                                   // loyal voters
+            HAPPINESS: 0.5,                             // per % of happiness
+            UNEMPLOYMENT: { natural: 5, points: 1.5 },  // lost per % above `natural`
+            GROWTH: { points: 40, max: 8 },             // per unit of GDP growth over the term, capped either way
+            EVENT: 3,                                   // per good ('success') or bad ('error') event in the term
+            FLIP_FLOP: 4                                // per policy switched back again in the term
+        },
+        SHARE: { min: 5, max: 90 }
+    };
+
+    // Opposition parties. They split the vote the government doesn't get,
+    // each drawing more the more of its `demands` ({ policyId: on }) current
+    // policy ignores. The one that agrees most is the coalition partner: its
+    // demands are met as far as the usual checks allow (a policy it wants on
+    // is launched at the usual cost) and locked until it leaves government,
+    // when they lapse and the policies go back to how they were.
+    const PARTIES = [
+        {
+            id: 'heritage',
+            name: 'Heritage League',
+            icon: '🏰',
+            demands: { openBorders: false, refugee: false }
+        },
+        {
+            id: 'openSociety',
+            name: 'Open Society Party',
+            icon: '🌍',
+            demands: { strict: false, refugee: true }
+        },
+        {
+            id: 'enterprise',
+            name: 'Enterprise Party',
+            icon: '💼',
+            demands: { investor: true, family: false }
+        }
+    ];
+
+    // The advisor's forecast: how far ahead it looks, and how soon a failure
+    // has to be for each severity (the first that fits)
+    const FORECAST = {
+        YEARS: 5,
+        SEVERITIES: [
+            { id: 'critical', icon: '🚨', within: 1 },
+            { id: 'warning', icon: '⚠️', within: 3 },
+            { id: 'watch', icon: '🔎', within: Infinity }
+        ]
+    };
+
+    // How a finished run is graded: points for each part, out of 100
+    const GRADING = {
+        VICTORY: 30,
+        YEARS: { points: 15, full: 25 },        // full points after this many years
+        HAPPINESS: 20,                          // at 100% final happiness
+        GROWTH: { points: 20, full: 1 },        // full points once the population grew by this share
+        ACHIEVEMENTS: 15,                       // with every achievement unlocked
+        GRADES: [
+            { grade: 'S', min: 90 },
+            { grade: 'A', min: 75 },
+            { grade: 'B', min: 60 },
+            { grade: 'C', min: 45 },
+            { grade: 'D', min: 30 },
+            { grade: 'F', min: 0 }
+        ],
+        TURNING_POINTS: 4                       // biggest swings listed in the summary
+    };
+
+    // Scenarios, in campaign order: each one is unlocked by completing the
+    // one before it. A scenario starts from its own nation instead of the
+    // defaults above and ends when its objectives are met or missed.
+    //
+    //   difficulty, seed  the rules and the map (any text, like the menu's
+    //                     seed field)
+    //   years             the deadline, counted from SIM_CONFIG.START_YEAR
+    //   start             replaces starting values: population, gdp,
+    //                     happiness, budget, debt, taxRate
+    //   policies          { policyId: level } already in force, at no cost
+    //   eventWeights      { eventId: multiplier } applied to the event's
+    //                     draw weight; 0 rules it out
+    //   scheduledEvents   [{ event, delay }] events that fire `delay` years in
+    //   objectives        [{ stat, min, max, keep }] targets for a number on
+    //                     the state. All must hold at once to win; `keep`
+    //                     ones must also hold every year until then or the
+    //                     scenario is lost. With only `keep` objectives the
+    //                     scenario is won by lasting until the deadline.
+    const SCENARIOS = [
+        {
+            id: 'firstSteps',
+            name: 'First Steps',
+            icon: '🌱',
+            description: 'A small, settled nation. Grow it by a third without losing the public along the way.',
+            difficulty: 'easy',
+            seed: 'first steps',
+            years: 8,
+            objectives: [
+                { stat: 'population', min: 1300 },
+                { stat: 'happiness', min: 40, keep: true }
+            ]
+        },
+        {
+            id: 'rustBelt',
+            name: 'Rust Belt',
+            icon: '🏭',
+            description: 'The factories are shedding jobs and one worker in six is out of work. Get people back to work and output back to where it was before the next recession hits.',
+            difficulty: 'medium',
+            seed: 'rust belt',
+            years: 8,
+            start: { population: 1150, gdp: 45000, happiness: 55 },
+            eventWeights: { recession: 2, economicBoom: 0.5 },
+            objectives: [
+                { stat: 'unemployment', max: 5 },
+                { stat: 'gdp', min: 55000 },
+                { stat: 'population', min: 900, keep: true }
+            ]
+        },
+        {
+            id: 'stormSeason',
+            name: 'Storm Season',
+            icon: '🌪️',
+            description: 'Forecasters expect a decade of storms, and a refugee crisis is already building at the border. Stay solvent and keep people on your side.',
+            difficulty: 'medium',
+            seed: 'storm season',
+            years: 10,
+            start: { budget: 20000 },
+            eventWeights: { naturalDisaster: 4, economicBoom: 0 },
+            scheduledEvents: [{ event: 'refugeeCrisis', delay: 2 }],
+            objectives: [
+                { stat: 'happiness', min: 40, keep: true },
+                { stat: 'budget', min: 0, keep: true }
+            ]
+        },
+        {
+            id: 'boomtown',
+            name: 'Boomtown',
+            icon: '🏗️',
+            description: 'Investors are lining up and the skilled worker program is already running. Grow to 1,800 people while keeping them happy.',
+            difficulty: 'medium',
+            seed: 'boomtown',
+            years: 10,
+            start: { budget: 40000 },
+            policies: { skilledWorker: 20 },
+            objectives: [
+                { stat: 'population', min: 1800 },
+                { stat: 'happiness', min: 60, keep: true }
+            ]
+        }
+    ];
+
+    // How objectives name and format the numbers they track
+    const OBJECTIVE_STATS = {
+        year: { name: 'Year', format: value => String(value), goal: value => `Last until ${value}` },
+        population: { name: 'Population', format: value => value.toLocaleString() },
+        gdp: { name: 'GDP', format: value => `$${value.toLocaleString()}` },
+        happiness: { name: 'Happiness', format: value => `${value}%` },
+        unemployment: { name: 'Unemployment', format: value => `${value}%` },
+        budget: { name: 'Budget', format: value => `$${value.toLocaleString()}` }
+    };
+
+    // ==============================================
+    // SECTION 2: STATE
+    // ==============================================
+
+    // `options` is { difficulty, seed } or { scenario }
+    function createInitialState(options = {}) {
+        const scenario = options.scenario ? getScenario(options.scenario) : null;
+        const difficulty = scenario ? scenario.difficulty : options.difficulty || 'medium';
+        const seed = scenario ? hashSeed(scenario.seed)
+            : options.seed === undefined ? randomSeed() : options.seed >>> 0;
+
+        const start = {
+            population: SIM_CONFIG.INITIAL_POPULATION,
+            gdp: SIM_CONFIG.INITIAL_GDP,
+            happiness: SIM_CONFIG.INITIAL_HAPPINESS,
+            budget: DIFFICULTY_SETTINGS[difficulty].budget + SIM_CONFIG.INITIAL_BUDGET,
+            debt: 0,
+            taxRate: FISCAL.TAX.standard,
+            ...(scenario && scenario.start)
+        };
+        const cohorts = splitPeople(start.population, DEMOGRAPHICS.INITIAL_SHARES);
+
+        const state = {
+            difficulty: difficulty,
+            seed: seed,
+            rngState: seed,
+            population: start.population,
+            cohorts: cohorts,
+            skilledWorkers: Math.round(cohorts.working * LABOR.SKILLED_SHARE),
+            graduateSkilledShare: LABOR.SKILLED_SHARE,
+            buildings: generateCityLayout(seed),
+            nextBuildingId: CITY.START_BUILDINGS + 1,
+            cityFull: false,
+            gdp: start.gdp,
+            happiness: start.happiness,
+            unemployment: 0,
+            year: SIM_CONFIG.START_YEAR,
+            budget: start.budget,
+            score: 0,
+            achievements: [],
+            policyStarted: {},
+            immigrantCohorts: [],
+            integrated: {},
+            gameOver: null,
+            history: [],
+            policies: {},
+            fiscal: createDefaultFiscal(),
+            oneOffItems: [],
+            debt: start.debt,
+            creditRating: DEBT.RATINGS[0].id,
+            missedPayments: 0,
+            austerityUntil: null,
+            lastingEffects: [],
+            scheduledEvents: [],
+            eventCooldowns: {},
+            pendingDecision: null,
+            decisions: [],
+            scenario: scenario ? scenario.id : null,
+            scenarioStatus: scenario ? 'active' : null,
+            victory: null,
+            elections: [],
+            coalition: null,
+            term: null
+        };
+
+        // Policy levels: 0 = off, otherwise the annual quota (or 1 for on/off policies)
+        POLICIES.forEach(policy => {
+            state.policies[policy.id] = 0;
+        });
+
+        if (scenario) {
+            state.fiscal.taxRate = start.taxRate;
+            Object.keys(scenario.policies || {}).forEach(policyId => {
+                state.policies[policyId] = clampPolicyLevel(getPolicy(policyId), scenario.policies[policyId]);
+                state.policyStarted[policyId] = state.year;
+            });
+            (scenario.scheduledEvents || []).forEach(scheduled => {
+                state.scheduledEvents.push({ event: scheduled.event, year: state.year + scheduled.delay });
+            });
+            state.creditRating = getCreditRating(state);
+        }
+
+        state.unemployment = calculateLaborMarket(state).unemployment;
+        state.term = createTerm(state);
+        state.history.push(createHistoryRecord(state));
+        return state;
+    }
+
+    // History records are never mutated once written, so copies can share them
+    function cloneState(state) {
+        return {
+            ...state,
+            achievements: state.achievements.slice(),
+            cohorts: { ...state.cohorts },
+            buildings: state.buildings.slice(),
+            immigrantCohorts: state.immigrantCohorts.map(cohort => ({ ...cohort })),
+            integrated: { ...state.integrated },
+            history: state.history.slice(),
+            policyStarted: { ...state.policyStarted },
+            policies: { ...state.policies },
+            fiscal: { taxRate: state.fiscal.taxRate, spending: { ...state.fiscal.spending } },
+            oneOffItems: state.oneOffItems.slice(),
+            lastingEffects: state.lastingEffects.slice(),
+            scheduledEvents: state.scheduledEvents.slice(),
+            eventCooldowns: { ...state.eventCooldowns },
+            decisions: state.decisions.slice(),
+            elections: state.elections.slice(),
+            term: { ...state.term, switches: { ...state.term.switches } }
+        };
+    }
+
+    function createDefaultFiscal() {
+        const spending = {};
+        FISCAL.SPENDING.forEach(service => {
+            spending[service.id] = FISCAL.LEVEL.standard;
+        });
+        return { taxRate: FISCAL.TAX.standard, spending: spending };
+    }
+
+    // One row per simulated year, used for charts and exports
+    function createHistoryRecord(state, details = {}) {
+        return {
+            year: state.year,
+            population: state.population,
+            cohorts: { ...state.cohorts },
+            births: details.births || 0,
+            deaths: details.deaths || 0,
+            buildings: state.buildings.filter(isOpen).length,
+            integrating: sumImmigrants(state.immigrantCohorts),
+            integrationLevel: getAverageIntegration(state.immigrantCohorts),
+            gdp: state.gdp,
+            happiness: state.happiness,
+            unemployment: state.unemployment,
+            budget: state.budget,
+            score: state.score,
+            policies: Object.keys(state.policies).filter(policy => state.policies[policy]),
+            policyLevels: { ...state.policies },
+            taxRate: state.fiscal.taxRate,
+            spending: { ...state.fiscal.spending },
+            debt: getTotalDebt(state),
+            creditRating: state.creditRating,
+            events: details.events || [],
+            achievements: details.achievements || [],
+            budgetChange: details.budgetChange || 0,
+            budgetItems: details.budgetItems || []
+        };
+    }
+
+    // Splits a head count across cohorts by `shares`; rounding leftovers go
+    // to working age so the parts always add up to `count`
+    function splitPeople(count, shares) {
+        const split = {};
+        COHORTS.forEach(cohort => {
+            split[cohort] = Math.trunc(count * (shares[cohort] || 0));
+        });
+        split.working += count - sumCohorts(split);
+        return split;
+    }
+
+    function sumCohorts(cohorts) {
+        return COHORTS.reduce((sum, cohort) => sum + cohorts[cohort], 0);
+    }
+
+    function getCohortShares(cohorts) {
+        const total = sumCohorts(cohorts);
+        if (total <= 0) return DEMOGRAPHICS.INITIAL_SHARES;
+
+        const shares = {};
+        COHORTS.forEach(cohort => {
+            shares[cohort] = cohorts[cohort] / total;
+        });
+        return shares;
+    }
+
+    // Removes people across cohorts in proportion to their size
+    function removePeople(state, count) {
+        const removed = splitPeople(Math.min(count, state.population), getCohortShares(state.cohorts));
+        state.skilledWorkers = Math.max(0, state.skilledWorkers - Math.round(removed.working * getSkilledShare(state)));
+        COHORTS.forEach(cohort => {
+            state.cohorts[cohort] = Math.max(0, state.cohorts[cohort] - removed[cohort]);
+        });
+        state.population = sumCohorts(state.cohorts);
+    }
+
+    function sumImmigrants(immigrantCohorts) {
+        return immigrantCohorts.reduce((sum, cohort) => sum + cohort.size, 0);
+    }
+
+    // Size-weighted integration of the given cohorts (0 when there are none)
+    function getAverageIntegration(immigrantCohorts) {
+        const total = sumImmigrants(immigrantCohorts);
+        if (total === 0) return 0;
+        return immigrantCohorts.reduce((sum, cohort) => sum + cohort.integration * cohort.size, 0) / total;
+    }
+
+    function getPolicy(policyId) {
+        return POLICY_BY_ID[policyId] || null;
+    }
+
+    // Level a policy switches on at: its reference quota, or 1 for on/off
+    function getDefaultLevel(policy) {
+        return policy.quota ? policy.quota.reference : 1;
+    }
+
+    // How strongly a policy applies at a level, relative to its definition
+    function getPolicyScale(policy, level) {
+        if (!level) return 0;
+        return policy.quota ? level / policy.quota.reference : 1;
+    }
+
+    function scaleEffects(effects, scale) {
+        const scaled = {};
+        Object.keys(effects).forEach(key => {
+            const value = effects[key] * scale;
+            scaled[key] = ['population', 'gdp', 'budget'].includes(key)
+                ? Math.round(value)
+                : Math.round(value * 100) / 100;
+        });
+        return scaled;
+    }
+
+    function getPolicyInteractions(policyId) {
+        return POLICY_INTERACTIONS.filter(rule => rule.policies.includes(policyId));
+    }
+
+    function getActiveInteractions(state) {
+        return POLICY_INTERACTIONS.filter(rule => rule.policies.every(id => state.policies[id] > 0));
+    }
+
+    function getPolicyCost(policy, level) {
+        return Math.round(policy.cost * getPolicyScale(policy, level));
+    }
+
+    function getPolicyFigures(policy, level) {
+        if (!level || policy.figures === 0) return 0;
+        return Math.max(1, Math.round(policy.figures * getPolicyScale(policy, level)));
+    }
+
+    // "+60 people, +$1,200 GDP, -12% happiness" from an effects object
+    function describeEffects(effects) {
+        const formats = {
+            population: value => `${signed(value)} people`,
+            gdp: value => `${value < 0 ? '-' : '+'}$${Math.abs(value).toLocaleString()} GDP`,
+            happiness: value => `${signed(value)}% happiness`,
+            unemployment: value => `${signed(value)}% unemployment`,
+            budget: value => `${value < 0 ? '-' : '+'}$${Math.abs(value).toLocaleString()} budget`
+        };
+
+        return Object.keys(effects)
+            .filter(key => formats[key])
+            .map(key => formats[key](effects[key]))
+            .join(', ');
+    }
+
+    function signed(value) {
+        return `${value > 0 ? '+' : ''}${value}`;
+    }
+
+    // ==============================================
+    // SECTION 3: SEEDED RANDOMNESS
+    // ==============================================
+
+    // mulberry32: small, fast and good enough for gameplay. The generator's
+    // position lives in `state.rngState` so a saved state resumes the same
+    // sequence.
+    function nextRandom(holder) {
+        holder.rngState = (holder.rngState + 0x6D2B79F5) >>> 0;
+        let t = holder.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Standalone generator for things outside the yearly state, like the
+    // city layout.
+    function createRng(seed) {
+        const holder = { rngState: seed >>> 0 };
+        return () => nextRandom(holder);
+    }
+
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // FNV-1a, so players can type words as seeds
+    function hashSeed(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Share codes look like "H-1Z141Z3": difficulty letter + base36 seed
+    function encodeSeedCode(seed, difficulty) {
+        const letter = SEED_CODE_LETTERS[difficulty] || 'M';
+        return `${letter}-${(seed >>> 0).toString(36).toUpperCase()}`;
+    }
+
+    function decodeSeedCode(code) {
+        const match = /^\s*([EMH])-([0-9A-Z]{1,7})\s*$/i.exec(code || '');
+        if (!match) return null;
+
+        const seed = parseInt(match[2], 36);
+        if (seed > 0xFFFFFFFF) return null;
+
+        const letter = match[1].toUpperCase();
+        const difficulty = Object.keys(SEED_CODE_LETTERS).find(key => SEED_CODE_LETTERS[key] === letter);
+        return { seed: seed, difficulty: difficulty };
+    }
+
+    // ==============================================
+    // SECTION 4: CITY & LABOR MARKET
+    // ==============================================
+
+    // The city comes from its own generator seeded with the run's seed, so
+    // two players with the same seed code walk the same city. Each building
+    // is a plain spec the 3D world renders and saves store. Sectors are
+    // dealt from a shuffled, evenly filled deck so every city starts with
+    // the same number of jobs.
+    function generateCityLayout(seed) {
+        const random = createRng(seed);
+        const layout = [];
+
+        const deck = [];
+        for (let i = 0; i < CITY.START_BUILDINGS; i++) {
+            deck.push(SECTORS[i % SECTORS.length].id);
+        }
+        for (let i = deck.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [deck[i], deck[j]] = [deck[j], deck[i]];
+        }
+
+        deck.forEach(typeName => {
+            const height = random() * 12 + 6;
+            const width = random() * 5 + 3;
+            const depth = random() * 5 + 3;
+
+            const angle = random() * Math.PI * 2;
+            const radius = random() * 35 + 8;
+
+            const windows = [];
+            for (let w = 0; w < Math.floor(height / 2); w++) {
+                windows.push(random() > 0.3);
+            }
+
+            layout.push({
+                id: layout.length + 1,
+                typeName: typeName,
+                width: width,
+                height: height,
+                depth: depth,
+                x: Math.cos(angle) * radius,
+                z: Math.sin(angle) * radius,
+                windows: windows,
+                vacantSince: null
+            });
+        });
+
+        return layout;
+    }
+
+    function isOpen(building) {
+        return building.vacantSince === null;
+    }
+
+    // How far population and GDP have come since the start (1 = unchanged)
+    function getSectorGrowth(state) {
+        return {
+            population: state.population / SIM_CONFIG.INITIAL_POPULATION,
+            gdp: state.gdp / SIM_CONFIG.INITIAL_GDP
+        };
+    }
+
+    // Builds toward every sector's target and empties out surplus
+    // buildings. Long-empty buildings are torn down first to free lots.
+    // `cityFull` remembers running out of lots, so the player hears about
+    // it once, and again only once lots have been freed and filled.
+    function growCity(state, events) {
+        const growth = getSectorGrowth(state);
+        const startPerSector = CITY.START_BUILDINGS / SECTORS.length;
+
+        state.buildings = state.buildings.filter(building => {
+            if (isOpen(building) || state.year - building.vacantSince < CITY.DEMOLISH_AFTER) return true;
+            events.push({ type: 'buildingDemolished', id: building.id });
+            state.cityFull = false;
+            return false;
+        });
+
+        const gaps = SECTORS.map(sector => ({
+            sector: sector,
+            open: state.buildings.filter(building => building.typeName === sector.id && isOpen(building)).length,
+            target: Math.round(startPerSector * growth[sector.grows])
+        }));
+
+        // Sectors furthest below target build first
+        let builds = 0;
+        let cityFull = false;
+        gaps.slice()
+            .sort((a, b) => (b.target - b.open) - (a.target - a.open))
+            .forEach(gap => {
+                while (gap.open < gap.target && builds < CITY.MAX_BUILDS_PER_YEAR && !cityFull) {
+                    if (!reopenBuilding(state, gap.sector, events) && !constructBuilding(state, gap.sector, events)) {
+                        cityFull = true;
+                        break;
+                    }
+                    gap.open++;
+                    builds++;
+                }
+            });
+
+        if (cityFull && !state.cityFull) {
+            state.cityFull = true;
+            events.push({ type: 'notification', message: '🏗️ No free lots left: the city can\'t grow any further', level: 'error' });
+        }
+
+        // ...and the biggest surplus empties out first
+        let closures = 0;
+        gaps.slice()
+            .sort((a, b) => (b.open - b.target) - (a.open - a.target))
+            .forEach(gap => {
+                if (gap.open > gap.target + CITY.SURPLUS && closures < CITY.MAX_CLOSURES_PER_YEAR) {
+                    closeBuilding(state, gap.sector, events);
+                    closures++;
+                }
+            });
+    }
+
+    function reopenBuilding(state, sector, events) {
+        const index = state.buildings.findIndex(building => building.typeName === sector.id && !isOpen(building));
+        if (index === -1) return false;
+
+        state.buildings[index] = { ...state.buildings[index], vacantSince: null };
+        events.push({ type: 'buildingReopened', id: state.buildings[index].id });
+        events.push({ type: 'notification', message: `${sector.icon} Empty ${sector.id} building back in use`, level: 'success' });
+        return true;
+    }
+
+    // Newest buildings empty out first
+    function closeBuilding(state, sector, events) {
+        let index = -1;
+        state.buildings.forEach((building, i) => {
+            if (building.typeName === sector.id && isOpen(building)) index = i;
+        });
+
+        state.buildings[index] = { ...state.buildings[index], vacantSince: state.year };
+        events.push({ type: 'buildingClosed', id: state.buildings[index].id });
+        events.push({ type: 'notification', message: `🏚️ A ${sector.id} building emptied out`, level: 'error' });
+    }
+
+    // New buildings get their own generator, keyed by building id, so the
+    // yearly sequence of events doesn't depend on where lots were found
+    function constructBuilding(state, sector, events) {
+        const random = createRng((state.seed ^ Math.imul(state.nextBuildingId, 0x9E3779B1)) >>> 0);
+        const lot = findFreeLot(state.buildings, random);
+        if (!lot) return false;
+
+        const height = random() * 12 + 6;
+        const windows = [];
+        for (let w = 0; w < Math.floor(height / 2); w++) {
+            windows.push(random() > 0.3);
+        }
+
+        const building = {
+            id: state.nextBuildingId++,
+            typeName: sector.id,
+            width: lot.width,
+            height: height,
+            depth: lot.depth,
+            x: lot.x,
+            z: lot.z,
+            windows: windows,
+            vacantSince: null
+        };
+        state.buildings.push(building);
+
+        events.push({ type: 'buildingOpened', building: building });
+        events.push({ type: 'notification', message: `🏗️ New ${sector.id} building under construction`, level: 'success' });
+        return true;
+    }
+
+    // A random lot inside the city that doesn't touch any building, or null
+    function findFreeLot(buildings, random) {
+        // Half the diagonal of a footprint: the circle the box fits in
+        const reach = (width, depth) => Math.hypot(width, depth) / 2;
+
+        for (let attempt = 0; attempt < CITY.LOT_ATTEMPTS; attempt++) {
+            const width = random() * 3 + 3;
+            const depth = random() * 3 + 3;
+            const angle = random() * Math.PI * 2;
+            const radius = CITY.CENTER_CLEARANCE + random() * (CITY.RADIUS - CITY.CENTER_CLEARANCE);
+            const x = Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+            const size = reach(width, depth);
+
+            const fits = radius + size <= CITY.RADIUS && radius - size >= CITY.CENTER_CLEARANCE &&
+                buildings.every(building =>
+                    Math.hypot(building.x - x, building.z - z) >= reach(building.width, building.depth) + size + CITY.LOT_GAP);
+
+            if (fits) return { width: width, depth: depth, x: x, z: z };
+        }
+
+        return null;
+    }
+
+    // Matches workers to the city's jobs. Returns every sector's jobs and
+    // filled positions, who is out of work and the unemployment rate (share
+    // of the working-age population without a job).
+    function calculateLaborMarket(state) {
+        const sectors = SECTORS.map(sector => {
+            const buildings = state.buildings.filter(building => building.typeName === sector.id && isOpen(building)).length;
+            return {
+                id: sector.id,
+                icon: sector.icon,
+                skill: sector.skill,
+                jobs: buildings * sector.jobs,
+                filled: 0
+            };
+        });
+
+        // Immigrants still integrating can't get hired yet
+        const integrating = { skilled: 0, general: 0 };
+        state.immigrantCohorts.forEach(cohort => {
+            const policy = getPolicy(cohort.policy);
+            const waiting = cohort.size * (policy.ageProfile.working || 0) * (1 - cohort.integration) * INTEGRATION.JOB_SEEKING;
+            integrating.skilled += waiting * policy.skilledShare;
+            integrating.general += waiting * (1 - policy.skilledShare);
+        });
+
+        const seeking = {
+            skilled: Math.max(0, Math.round(state.skilledWorkers - integrating.skilled)),
+            general: Math.max(0, Math.round(state.cohorts.working - state.skilledWorkers - integrating.general))
+        };
+
+        const skilledHired = fillJobs(sectors.filter(sector => sector.skill === 'skilled'), seeking.skilled);
+        const generalSectors = sectors.filter(sector => sector.skill === 'general');
+        const generalHired = fillJobs(generalSectors, seeking.general);
+        const overflowHired = fillJobs(generalSectors, seeking.skilled - skilledHired);
+
+        const unemployed = {
+            skilled: seeking.skilled - skilledHired - overflowHired,
+            general: seeking.general - generalHired,
+            integrating: Math.round(integrating.skilled + integrating.general)
+        };
+        const totalUnemployed = unemployed.skilled + unemployed.general + unemployed.integrating;
+        const unemployment = state.cohorts.working > 0 ? totalUnemployed / state.cohorts.working * 100 : 0;
+
+        return {
+            sectors: sectors,
+            unemployed: unemployed,
+            unemployment: Math.min(100, Math.round(unemployment * 10) / 10)
+        };
+    }
+
+    // Hires up to `workers` into the sectors' open jobs, spread in
+    // proportion to openings. Returns how many were hired.
+    function fillJobs(sectors, workers) {
+        const open = sectors.reduce((sum, sector) => sum + sector.jobs - sector.filled, 0);
+        const hiring = Math.min(Math.max(0, workers), open);
+        if (hiring === 0) return 0;
+
+        let hired = 0;
+        sectors.forEach(sector => {
+            const count = Math.floor((sector.jobs - sector.filled) * hiring / open);
+            sector.filled += count;
+            hired += count;
+        });
+
+        // Rounding leftovers go to whichever sectors still have openings
+        sectors.forEach(sector => {
+            const count = Math.min(sector.jobs - sector.filled, hiring - hired);
+            sector.filled += count;
+            hired += count;
+        });
+
+        return hired;
+    }
+
+    // ==============================================
+    // SECTION 5: POLICY ACTIONS
+    // ==============================================
+
+    // Actions:
+    //   { type: 'togglePolicy', policy: 'refugee' }
+    //   { type: 'setPolicyLevel', policy: 'skilledWorker', level: 50 }
+    //   { type: 'setTaxRate', rate: 30 }
+    //   { type: 'setSpending', service: 'education', level: 150 }
+    //   { type: 'issueBonds' }
+    //   { type: 'payDebt' }
+    //   { type: 'takeEmergencyLoan' }
+    //   { type: 'chooseOption', option: 0 }
+    function applyActions(state, actions = []) {
+        const next = cloneState(state);
+        const events = [];
+
+        actions.forEach(action => {
+            if (action.type === 'togglePolicy') {
+                togglePolicy(next, action.policy, events);
+            } else if (action.type === 'setPolicyLevel') {
+                setPolicyLevel(next, action.policy, action.level, events);
+            } else if (action.type === 'setTaxRate') {
+                setTaxRate(next, action.rate, events);
+            } else if (action.type === 'setSpending') {
+                setSpending(next, action.service, action.level, events);
+            } else if (action.type === 'issueBonds') {
+                issueBonds(next, events);
+            } else if (action.type === 'payDebt') {
+                payDebt(next, events);
+            } else if (action.type === 'takeEmergencyLoan') {
+                takeEmergencyLoan(next, events);
+            } else if (action.type === 'chooseOption') {
+                chooseOption(next, action.option, events);
+            }
+        });
+
+        return { state: next, events: events };
+    }
+
+    function togglePolicy(state, policyId, events) {
+        const policy = getPolicy(policyId);
+        if (!policy) return;
+
+        const level = state.policies[policyId] ? 0 : getDefaultLevel(policy);
+        setPolicyLevel(state, policyId, level, events);
+    }
+
+    // Switching on (from 0) pays the one-off cost at the chosen level;
+    // changing the quota of an active policy only changes its upkeep.
+    function setPolicyLevel(state, policyId, requestedLevel, events) {
+        const policy = getPolicy(policyId);
+        if (!policy) return;
+
+        const level = clampPolicyLevel(policy, requestedLevel);
+        const currentLevel = state.policies[policyId];
+        if (level === currentLevel) return;
+
+        const enabling = !currentLevel && level > 0;
+        const cost = getPolicyCost(policy, level);
+
+        const refusal = getPolicyRefusal(state, policyId, level);
+        if (refusal) {
+            refusePolicyChange(policyId, refusal, events);
+            return;
+        }
+
+        state.policies[policyId] = level;
+        if ((level > 0) !== (currentLevel > 0)) {
+            state.term.switches[policyId] = (state.term.switches[policyId] || 0) + 1;
+        }
+
+        if (enabling) {
+            state.policyStarted[policyId] = state.year;
+            if (policy.enableMessage) {
+                events.push({ type: 'notification', message: policy.enableMessage, level: 'info' });
+            }
+        }
+
+        events.push({ type: 'policyChanged', policy: policyId, enabled: level > 0, level: level });
+
+        if (enabling) {
+            announceInteractions(state, policyId, events);
+            events.push({ type: 'notification', message: `${policy.name} Enabled`, level: 'success' });
+            bookOneOff(state, `launch.${policyId}`, `${policy.name} launch`, -cost);
+            if (policy.figures > 0) {
+                events.push({ type: 'immigrants', policy: policyId, count: getPolicyFigures(policy, level) });
+            }
+        } else if (level === 0) {
+            events.push({ type: 'notification', message: `${policy.name} Disabled`, level: 'info' });
+        } else {
+            events.push({ type: 'notification', message: `${policy.icon} ${policy.name} quota: ${level}/year`, level: 'info' });
+        }
+    }
+
+    // Why a policy can't be set to `level` now, or null if it can: the
+    // coalition's locks, exclusive policies and the budget for a launch
+    function getPolicyRefusal(state, policyId, level) {
+        const policy = getPolicy(policyId);
+        const enabling = !state.policies[policyId] && level > 0;
+
+        const demand = getCoalitionDemand(state, policyId);
+        if (demand !== undefined && (level > 0) !== demand) {
+            const partner = getParty(state.coalition.partner);
+            return `🔒 The coalition with the ${partner.name} keeps ${policy.name} ${demand ? 'on' : 'off'} until the next election`;
+        }
+
+        const blockedBy = enabling && getPolicyInteractions(policyId).find(rule =>
+            rule.type === 'exclusive' && rule.policies.some(id => id !== policyId && state.policies[id] > 0));
+        if (blockedBy) {
+            const other = getPolicy(blockedBy.policies.find(id => id !== policyId));
+            return `⛔ Can't enable ${policy.name} while ${other.name} is active`;
+        }
+
+        const cost = getPolicyCost(policy, level);
+        if (enabling && cost > state.budget) {
+            return `Insufficient Budget! Need $${cost}`;
+        }
+
+        return null;
+    }
+
+    // A refusal is told to the player and flagged for what-if previews,
+    // which can't go by error notifications (conflicts raise those too)
+    function refusePolicyChange(policyId, message, events) {
+        events.push({ type: 'notification', message: message, level: 'error' });
+        events.push({ type: 'policyRefused', policy: policyId, message: message });
+    }
+
+    function announceInteractions(state, policyId, events) {
+        getActiveInteractions(state)
+            .filter(rule => rule.policies.includes(policyId))
+            .forEach(rule => {
+                const names = rule.policies.map(id => getPolicy(id).name).join(' + ');
+                events.push(rule.type === 'synergy'
+                    ? { type: 'notification', message: `🤝 Synergy: ${names}`, level: 'success' }
+                    : { type: 'notification', message: `⚠️ Contradictory stance: ${names}`, level: 'error' });
+            });
+    }
+
+    function clampPolicyLevel(policy, level) {
+        if (!policy.quota) return level ? 1 : 0;
+
+        const { max, step } = policy.quota;
+        const snapped = Math.round((Number(level) || 0) / step) * step;
+        return Math.max(0, Math.min(max, snapped));
+    }
+
+    // Fiscal changes take effect in the coming year's budget; nothing is
+    // paid up front
+    function setTaxRate(state, requestedRate, events) {
+        const rate = snapToRange(requestedRate, FISCAL.TAX);
+        if (rate === state.fiscal.taxRate) return;
+
+        state.fiscal.taxRate = rate;
+        events.push({ type: 'fiscalChanged' });
+        events.push({ type: 'notification', message: `💰 Income tax: ${rate}%`, level: 'info' });
+    }
+
+    function setSpending(state, serviceId, requestedLevel, events) {
+        const service = getService(serviceId);
+        if (!service) return;
+
+        const level = snapToRange(requestedLevel, FISCAL.LEVEL);
+        if (level === state.fiscal.spending[serviceId]) return;
+
+        if (isAusterity(state) && level > DEBT.AUSTERITY_FUNDING) {
+            events.push({ type: 'notification', message: `⛔ Austerity: services are capped at ${DEBT.AUSTERITY_FUNDING}% until ${state.austerityUntil}`, level: 'error' });
+            return;
+        }
+
+        state.fiscal.spending[serviceId] = level;
+        events.push({ type: 'fiscalChanged' });
+        events.push({ type: 'notification', message: `${service.icon} ${service.name} funding: ${level}%`, level: 'info' });
+    }
+
+    // Borrowing and repaying move cash and debt together; the ledger books
+    // them as `debt.` items so every year's balance still adds up
+    function issueBonds(state, events) {
+        const rating = getRatingIndex(state.creditRating);
+        if (rating > getRatingIndex(DEBT.BOND_MIN_RATING)) {
+            events.push({ type: 'notification', message: `⛔ Markets won't buy bonds rated ${state.creditRating}`, level: 'error' });
+            return;
+        }
+
+        state.debt += DEBT.BOND_SIZE;
+        bookOneOff(state, 'debt.bonds', 'Bonds issued', DEBT.BOND_SIZE);
+        events.push({ type: 'debtChanged' });
+        events.push({ type: 'notification', message: `🏦 Bonds issued: +$${DEBT.BOND_SIZE.toLocaleString()}`, level: 'info' });
+        updateCreditRating(state, events);
+    }
+
+    function payDebt(state, events) {
+        const amount = Math.min(DEBT.BOND_SIZE, state.debt);
+        if (amount <= 0) return;
+        if (amount > state.budget) {
+            events.push({ type: 'notification', message: `Insufficient Budget! Need $${amount}`, level: 'error' });
+            return;
+        }
+
+        state.debt -= amount;
+        bookOneOff(state, 'debt.repayment', 'Debt repayment', -amount);
+        events.push({ type: 'debtChanged' });
+        events.push({ type: 'notification', message: `🏦 Debt repaid: -$${amount.toLocaleString()}`, level: 'success' });
+        updateCreditRating(state, events);
+    }
+
+    // Cash now, in exchange for years of capped public services
+    function takeEmergencyLoan(state, events) {
+        if (isAusterity(state)) {
+            events.push({ type: 'notification', message: `⛔ Still under austerity from the last loan until ${state.austerityUntil}`, level: 'error' });
+            return;
+        }
+
+        state.debt += DEBT.EMERGENCY_LOAN;
+        state.austerityUntil = state.year + DEBT.AUSTERITY_YEARS;
+        FISCAL.SPENDING.forEach(service => {
+            state.fiscal.spending[service.id] = Math.min(state.fiscal.spending[service.id], DEBT.AUSTERITY_FUNDING);
+        });
+        bookOneOff(state, 'debt.emergencyLoan', 'Emergency loan', DEBT.EMERGENCY_LOAN);
+
+        events.push({ type: 'debtChanged' });
+        events.push({ type: 'fiscalChanged' });
+        events.push({ type: 'notification', message: `🆘 Emergency loan: +$${DEBT.EMERGENCY_LOAN.toLocaleString()}. Austerity until ${state.austerityUntil}`, level: 'error' });
+        updateCreditRating(state, events);
+    }
+
+    function isAusterity(state) {
+        return state.austerityUntil !== null && state.year < state.austerityUntil;
+    }
+
+    function snapToRange(value, range) {
+        const snapped = Math.round((Number(value) || 0) / range.step) * range.step;
+        return Math.max(range.min, Math.min(range.max, snapped));
+    }
+
+    function getService(serviceId) {
+        return FISCAL.SPENDING.find(service => service.id === serviceId) || null;
+    }
+
+    // ==============================================
+    // SECTION 6: YEARLY SIMULATION
+    // ==============================================
+
+    // Budget and Economy System
+    // Each line item is { id, label, amount }; income is positive, expenses
+    // negative. Recurring items are worked out at the end of every year;
+    // one-off items (policy launches, event costs) are booked as they happen
+    // and join them in that year's ledger. The yearly budget change is the
+    // sum of both.
+    function calculateBudgetItems(state) {
+        const items = [];
+
+        // INCOME
+        items.push({ id: 'tax', label: 'Tax income', amount: Math.floor(state.gdp * state.fiscal.taxRate / 100) });
+        items.push({ id: 'tourism', label: 'Tourism & exports', amount: Math.floor(state.population * 0.5) });
+
+        // POLICY INCOME (policies with a negative cost pay you)
+        POLICIES.forEach(policy => {
+            if (state.policies[policy.id] && policy.cost < 0) {
+                items.push({ id: `income.${policy.id}`, label: `${policy.name} income`, amount: -getPolicyCost(policy, state.policies[policy.id]) });
+            }
+        });
+
+        // EXPENSES
+        // Public services, as funded by the player
+        FISCAL.SPENDING.forEach(service => {
+            const perCapita = service.perCapita * state.fiscal.spending[service.id] / FISCAL.LEVEL.standard;
+            items.push({ id: `spending.${service.id}`, label: service.name, amount: -Math.floor(state.population * perCapita) });
+        });
+
+        // Policy maintenance costs
+        POLICIES.forEach(policy => {
+            if (state.policies[policy.id] && policy.cost > 0) {
+                items.push({ id: `upkeep.${policy.id}`, label: `${policy.name} upkeep`, amount: -getPolicyCost(policy, state.policies[policy.id]) });
+            }
+        });
+
+        // Unemployment benefits (the rate is a share of the working-age population)
+        const unemployed = Math.floor(state.cohorts.working * (state.unemployment / 100));
+        items.push({ id: 'unemploymentBenefits', label: 'Unemployment benefits', amount: 0 - unemployed * 100 });
+
+        // Interest on bonds, loans and any overdraft
+        const interest = Math.round(getTotalDebt(state) * getInterestRate(state));
+        if (interest > 0) {
+            items.push({ id: 'interest', label: 'Debt interest', amount: -interest });
+        }
+
+        return items;
+    }
+
+    function calculateYearlyBudget(state) {
+        return sumBudgetItems(calculateBudgetItems(state));
+    }
+
+    function sumBudgetItems(items) {
+        return items.reduce((sum, item) => sum + item.amount, 0);
+    }
+
+    // Ids start with `launch.` for policy launch costs, `event.` for random
+    // and side event costs and `debt.` for borrowing and repayments
+    function bookOneOff(state, id, label, amount) {
+        state.budget += amount;
+        state.oneOffItems.push({ id: id, label: label, amount: amount });
+    }
+
+    // This year's GDP and happiness changes from the tax rate and service
+    // funding (see FISCAL)
+    function getFiscalEffects(state) {
+        const taxPoints = state.fiscal.taxRate - FISCAL.TAX.standard;
+        const happiness = FISCAL.SPENDING.reduce((sum, service) =>
+            sum + getFundingChange(state, service.id) * service.happiness, -taxPoints * FISCAL.TAX_HAPPINESS);
+
+        return {
+            gdp: -Math.round(state.gdp * taxPoints * FISCAL.TAX_GDP),
+            happiness: Math.round(happiness * 10) / 10
+        };
+    }
+
+    function getTotalDebt(state) {
+        return state.debt + Math.max(0, -state.budget);
+    }
+
+    function getDebtRatio(state) {
+        return getTotalDebt(state) / state.gdp;
+    }
+
+    function getInterestRate(state) {
+        return DEBT.BASE_RATE + getDebtRatio(state) * DEBT.RATE_PER_DEBT_RATIO;
+    }
+
+    function getRatingIndex(ratingId) {
+        return DEBT.RATINGS.findIndex(rating => rating.id === ratingId);
+    }
+
+    // The best rating the debt-to-GDP ratio allows, a notch lower for every
+    // missed payment in the current run of them
+    function getCreditRating(state) {
+        const ratio = getDebtRatio(state);
+        const earned = DEBT.RATINGS.findIndex(rating => ratio < rating.maxRatio);
+        return DEBT.RATINGS[Math.min(DEBT.RATINGS.length - 1, earned + state.missedPayments)].id;
+    }
+
+    function updateCreditRating(state, events) {
+        const rating = getCreditRating(state);
+        if (rating === state.creditRating) return;
+
+        const upgraded = getRatingIndex(rating) < getRatingIndex(state.creditRating);
+        state.creditRating = rating;
+        events.push(upgraded
+            ? { type: 'notification', message: `📈 Credit rating upgraded to ${rating}`, level: 'success' }
+            : { type: 'notification', message: `📉 Credit rating downgraded to ${rating}`, level: 'error' });
+    }
+
+    // -1 at no funding, 0 at the standard budget, +1 at double
+    function getFundingChange(state, serviceId) {
+        return (state.fiscal.spending[serviceId] - FISCAL.LEVEL.standard) / FISCAL.LEVEL.standard;
+    }
+
+    // Skilled share of children coming of age that education funding is
+    // steering toward
+    function getGraduateSkillTarget(state) {
+        return LABOR.SKILLED_SHARE * (1 + getFundingChange(state, 'education') * FISCAL.EDUCATION_SKILLS);
+    }
+
+    // Advances one year. Actions are applied first, as if the player had
+    // clicked them during the year. Every roll comes from the state's seeded
+    // generator, so the same state and actions always give the same year.
+    // With `expected` the year takes the average of everything left to
+    // chance: no random events, no GDP noise and every policy side effect
+    // scaled by its odds. Forecasts use it.
+    function simulateYear(state, actions = [], expected = false) {
+        const applied = applyActions(state, actions);
+        const next = applied.state;
+        const events = applied.events;
+        const random = expected ? () => 0.5 : () => nextRandom(next);
+
+        if (next.gameOver) return { state: next, events: events };
+
+        // Nobody chose in time: the default option happens
+        if (next.pendingDecision) {
+            chooseOption(next, getRandomEvent(next.pendingDecision.event).defaultOption || 0, events);
+        }
+
+        next.year++;
+
+        // Track changes for this year. Population changes from policies are
+        // kept per cohort in `migration`; births and deaths come later.
+        const changes = { migration: splitPeople(0, {}), skilledArrivals: 0, gdp: 0, happiness: 0, unemployment: 0 };
+        const intakes = {};
+
+        const difficulty = DIFFICULTY_SETTINGS[next.difficulty];
+
+        // BASE CHANGES (happens every year)
+        changes.happiness -= difficulty.happinessDrain;
+        changes.gdp += Math.floor(next.cohorts.working / DEMOGRAPHICS.WORKERS_PER_GDP_POINT);
+        changes.gdp += Math.floor(random() * 800 - 400);
+
+        // --- FISCAL POLICY ---
+        addEffects(next, changes, getFiscalEffects(next));
+        if (next.coalition) changes.happiness -= ELECTIONS.COALITION_UNREST;
+
+        // --- POLICY EFFECTS ---
+        const activePolicies = POLICIES.filter(policy => next.policies[policy.id]);
+
+        const activeInteractions = getActiveInteractions(next);
+
+        activePolicies.forEach(policy => {
+            const level = next.policies[policy.id];
+            const scale = getPolicyScale(policy, level);
+
+            const effects = scaleEffects(policy.effects, scale);
+            addEffects(next, changes, effects, policy.ageProfile, policy.skilledShare);
+            if (policy.integration && effects.population > 0) {
+                intakes[policy.id] = effects.population;
+            }
+
+            (policy.sideEffects || []).forEach(sideEffect => {
+                const odds = expected ? sideEffect.chance : Number(random() < sideEffect.chance);
+                if (odds > 0) {
+                    addEffects(next, changes, scaleEffects(sideEffect.effects, scale * odds),
+                        sideEffect.ageProfile || policy.ageProfile,
+                        sideEffect.skilledShare === undefined ? policy.skilledShare : sideEffect.skilledShare,
+                        { id: `event.${policy.id}`, label: sideEffect.message });
+                    events.push({ type: 'notification', message: sideEffect.message, level: sideEffect.level });
+                }
+            });
+
+            const figures = getPolicyFigures(policy, level);
+            if (figures > 0) {
+                events.push({ type: 'immigrants', policy: policy.id, count: figures });
+            }
+        });
+
+        // Multipliers scale everything gathered so far (e.g. Strict Control
+        // halving immigration), then proportional effects follow
+        activePolicies.forEach(policy => {
+            Object.keys(policy.multipliers || {}).forEach(key => {
+                if (key === 'population') {
+                    COHORTS.forEach(cohort => {
+                        changes.migration[cohort] = Math.floor(changes.migration[cohort] * policy.multipliers[key]);
+                    });
+                    changes.skilledArrivals = Math.floor(changes.skilledArrivals * policy.multipliers[key]);
+                    Object.keys(intakes).forEach(id => {
+                        intakes[id] = Math.floor(intakes[id] * policy.multipliers[key]);
+                    });
+                } else {
+                    changes[key] = Math.floor(changes[key] * policy.multipliers[key]);
+                }
+            });
+        });
+
+        activePolicies.forEach(policy => {
+            if (!policy.proportional) return;
+
+            let changed = false;
+            Object.keys(policy.proportional.effects).forEach(key => {
+                const fraction = policy.proportional.effects[key];
+                const amount = Math.floor(next[key] * Math.abs(fraction)) * Math.sign(fraction);
+                addEffects(next, changes, { [key]: amount });
+                changed = changed || amount !== 0;
+            });
+
+            if (changed) {
+                events.push({ type: 'notification', message: policy.proportional.message, level: 'error' });
+            }
+        });
+
+        // Synergies and conflicts between active policies
+        activeInteractions.forEach(rule => {
+            if (rule.effects) addEffects(next, changes, rule.effects);
+        });
+
+        // Aftermath of earlier events
+        applyLastingEffects(next, changes);
+
+        // --- INTEGRATION ---
+        // Last year's arrivals catch up first; this year's join as new cohorts
+        integrateImmigrants(next, changes, activePolicies, activeInteractions, events);
+
+        Object.keys(intakes).forEach(id => {
+            if (intakes[id] <= 0) return;
+            next.immigrantCohorts.push({
+                policy: id,
+                year: next.year,
+                size: intakes[id],
+                integration: getPolicy(id).integration.start
+            });
+        });
+
+        // --- DEMOGRAPHICS ---
+        // Births, deaths and aging move the workforce, and with it output;
+        // arrivals are priced into the policy effects.
+        const mortality = 1 - getFundingChange(next, 'healthcare') * FISCAL.HEALTHCARE_MORTALITY;
+        const demographics = advanceCohorts(next.cohorts, changes.migration, mortality);
+        changes.gdp += demographics.natural.working * DEMOGRAPHICS.GDP_PER_WORKER;
+
+        // Warn about a sustained decline, not every retirement
+        const earlier = next.history[next.history.length - DEMOGRAPHICS.AGING_ALERT_YEARS];
+        if (earlier && demographics.cohorts.working < next.cohorts.working) {
+            const decline = 1 - demographics.cohorts.working / earlier.cohorts.working;
+            if (decline >= DEMOGRAPHICS.AGING_ALERT_DECLINE) {
+                events.push({ type: 'notification', message: `📉 Aging population: Workforce down ${(decline * 100).toFixed(1)}% in ${DEMOGRAPHICS.AGING_ALERT_YEARS} years`, level: 'error' });
+            }
+        }
+
+        const populationChange = sumCohorts(demographics.cohorts) - next.population;
+        const gdpChange = changes.gdp;
+        const happinessChange = changes.happiness;
+
+        // --- APPLY ALL CHANGES ---
+
+        next.graduateSkilledShare += (getGraduateSkillTarget(next) - next.graduateSkilledShare) * FISCAL.EDUCATION_CATCH_UP;
+        next.skilledWorkers = advanceSkilledWorkers(next, demographics, changes.skilledArrivals);
+        next.cohorts = demographics.cohorts;
+        next.population = sumCohorts(next.cohorts);
+        next.gdp = Math.max(1000, next.gdp + gdpChange);
+        next.happiness = Math.max(0, Math.min(100, next.happiness + happinessChange));
+
+        growCity(next, events);
+
+        // Unemployment is re-counted from the job market every year; any
+        // unemployment effects only shift this year's figure
+        const previousUnemployment = next.unemployment;
+        next.unemployment = Math.max(0, Math.min(40, calculateLaborMarket(next).unemployment + changes.unemployment));
+        const unemploymentChange = Math.round((next.unemployment - previousUnemployment) * 10) / 10;
+
+        // Budget calculation
+        const recurringItems = calculateBudgetItems(next);
+        next.budget += sumBudgetItems(recurringItems);
+
+        // Score
+        const newScore = Math.floor(
+            (populationChange * 2) +
+            (gdpChange / 100) +
+            (happinessChange * 3) -
+            (Math.abs(unemploymentChange) * 20)
+        );
+        next.score += Math.max(-1000, newScore);
+
+        // Random events and follow-ups
+        if (!expected) runEvents(next, events, random);
+
+        // The year's ledger: recurring items plus everything booked since
+        // last year's
+        const budgetItems = recurringItems.concat(next.oneOffItems);
+        const budgetChange = sumBudgetItems(budgetItems);
+        next.oneOffItems = [];
+
+        serviceDebt(next, events);
+
+        checkAchievements(next, events);
+        holdElection(next, events);
+        checkGameState(next, events);
+        checkScenario(next, events);
+        checkVictory(next, events);
+
+        next.history.push(createHistoryRecord(next, {
+            events: events.filter(event => event.type === 'randomEvent').map(event => event.name),
+            achievements: events.filter(event => event.type === 'achievement').map(event => event.id),
+            budgetChange: budgetChange,
+            budgetItems: budgetItems,
+            births: demographics.births,
+            deaths: demographics.deaths
+        }));
+
+        events.push({
+            type: 'yearSummary',
+            year: next.year,
+            populationChange: populationChange,
+            births: demographics.births,
+            deaths: demographics.deaths,
+            gdpChange: gdpChange,
+            happinessChange: happinessChange,
+            unemploymentChange: unemploymentChange,
+            budgetChange: budgetChange
+        });
+
+        return { state: next, events: events };
+    }
+
+    // A year that ends overdrawn is a missed payment; the rating follows the
+    // new debt and payment record
+    function serviceDebt(state, events) {
+        if (state.budget < 0) {
+            state.missedPayments++;
+            events.push({ type: 'notification', message: `⚠️ Missed debt payment (${state.missedPayments}/${DEBT.MISSED_PAYMENTS})! Raise taxes, cut spending or borrow`, level: 'error' });
+        } else {
+            state.missedPayments = 0;
+        }
+
+        if (state.austerityUntil !== null && !isAusterity(state)) {
+            state.austerityUntil = null;
+            events.push({ type: 'notification', message: '✅ Austerity is over: services can be funded freely again', level: 'success' });
+        }
+
+        updateCreditRating(state, events);
+    }
+
+    // Budget effects hit the treasury immediately, booked as one-off items
+    // under `source` ({ id, label }); the rest accumulate. People are split
+    // across cohorts by `ageProfile` and their working-age part into skills
+    // by `skilledShare` (defaults: the nation's current mix).
+    function addEffects(state, changes, effects, ageProfile, skilledShare, source = { id: 'event.other', label: 'Other events' }) {
+        Object.keys(effects).forEach(key => {
+            if (key === 'budget') {
+                bookOneOff(state, source.id, source.label, effects[key]);
+            } else if (key === 'population') {
+                const split = splitPeople(effects[key], ageProfile || getCohortShares(state.cohorts));
+                COHORTS.forEach(cohort => {
+                    changes.migration[cohort] += split[cohort];
+                });
+                const share = skilledShare === undefined ? getSkilledShare(state) : skilledShare;
+                changes.skilledArrivals += Math.round(split.working * share);
+            } else {
+                changes[key] += effects[key];
+            }
+        });
+    }
+
+    // Raises every immigrant cohort's integration for the year and turns the
+    // progress into output. Finished cohorts count as integrated.
+    function integrateImmigrants(state, changes, activePolicies, activeInteractions, events) {
+        const pace = getIntegrationPace(state);
+        const boost = activePolicies.reduce((sum, policy) => sum + (policy.integrationBoost || 0), 0);
+        let newlyIntegrated = 0;
+        let completed = 0;
+
+        state.immigrantCohorts.forEach(cohort => {
+            const ruleBoost = activeInteractions
+                .filter(rule => rule.boostsIntegration && rule.boostsIntegration.policy === cohort.policy)
+                .reduce((sum, rule) => sum + rule.boostsIntegration.amount, 0);
+            const rate = getPolicy(cohort.policy).integration.rate * pace + boost + ruleBoost;
+            const gain = Math.min(1 - cohort.integration, rate);
+
+            cohort.integration += gain;
+            newlyIntegrated += gain * cohort.size;
+        });
+
+        state.immigrantCohorts = state.immigrantCohorts.filter(cohort => {
+            if (cohort.integration < INTEGRATION.COMPLETE) return true;
+            state.integrated[cohort.policy] = (state.integrated[cohort.policy] || 0) + cohort.size;
+            completed += cohort.size;
+            return false;
+        });
+
+        changes.gdp += Math.round(newlyIntegrated * INTEGRATION.GDP_PER_PERSON);
+
+        if (completed > 0) {
+            events.push({ type: 'notification', message: `🤝 ${completed.toLocaleString()} immigrants fully integrated!`, level: 'success' });
+        }
+    }
+
+    // Share of the written integration rates that applies this year
+    function getIntegrationPace(state) {
+        const mood = state.happiness / INTEGRATION.HAPPINESS_REFERENCE;
+        const jobs = 1 - Math.max(0, state.unemployment - INTEGRATION.UNEMPLOYMENT_REFERENCE) * INTEGRATION.UNEMPLOYMENT_DRAG;
+        const housing = 1 + getFundingChange(state, 'housing') * FISCAL.HOUSING_INTEGRATION;
+        return Math.min(INTEGRATION.MAX_PACE, Math.max(INTEGRATION.MIN_PACE, mood * housing * Math.max(INTEGRATION.MIN_PACE, jobs)));
+    }
+
+    // One year of births, deaths and aging plus this year's migration.
+    // `mortality` scales every cohort's death rate.
+    function advanceCohorts(cohorts, migration, mortality = 1) {
+        const births = Math.round(cohorts.working * DEMOGRAPHICS.FERTILITY);
+        const died = {};
+        COHORTS.forEach(cohort => {
+            died[cohort] = Math.round(cohorts[cohort] * DEMOGRAPHICS.MORTALITY[cohort] * mortality);
+        });
+        const grownUp = Math.round(cohorts.children * DEMOGRAPHICS.AGING.children);
+        const retired = Math.round(cohorts.working * DEMOGRAPHICS.AGING.working);
+
+        const natural = {
+            children: births - died.children - grownUp,
+            working: grownUp - died.working - retired,
+            retirees: retired - died.retirees
+        };
+
+        const next = {};
+        COHORTS.forEach(cohort => {
+            next[cohort] = Math.max(0, cohorts[cohort] + natural[cohort] + migration[cohort]);
+        });
+
+        return {
+            cohorts: next,
+            natural: natural,
+            births: births,
+            deaths: sumCohorts(died),
+            grownUp: grownUp,
+            leftWorkforce: retired + died.working
+        };
+    }
+
+    // Skilled workers retire and die in proportion to the workforce; how
+    // many children come of age skilled depends on past education funding
+    function advanceSkilledWorkers(state, demographics, skilledArrivals) {
+        const leaving = Math.round(demographics.leftWorkforce * getSkilledShare(state));
+        const joining = Math.round(demographics.grownUp * state.graduateSkilledShare);
+        const skilled = state.skilledWorkers - leaving + joining + skilledArrivals;
+        return Math.max(0, Math.min(demographics.cohorts.working, skilled));
+    }
+
+    function getSkilledShare(state) {
+        return state.cohorts.working > 0 ? state.skilledWorkers / state.cohorts.working : LABOR.SKILLED_SHARE;
+    }
+
+    // Runs several years back to back, stopping early on game over.
+    // `getActions(state)` may return the policy actions for the coming year.
+    function runYears(state, years, getActions = () => []) {
+        let current = state;
+        let events = [];
+
+        for (let i = 0; i < years && !current.gameOver; i++) {
+            const result = simulateYear(current, getActions(current));
+            current = result.state;
+            events = events.concat(result.events);
+        }
+
+        return { state: current, events: events };
+    }
+
+    // Forecasting
+    // Projects `years` expected years (see simulateYear) under the current
+    // policies, after `actions`. Returns the projected years and the first
+    // failure as { id, icon, warning, reason, year, yearsAway }, or null.
+    // A lost scenario counts as a failure with id 'scenario'.
+    function forecast(state, years = FORECAST.YEARS, actions = []) {
+        const projected = [];
+        let current = state;
+
+        for (let i = 0; i < years && !current.gameOver; i++) {
+            current = simulateYear(current, i === 0 ? actions : [], true).state;
+            projected.push(createHistoryRecord(current));
+        }
+
+        if (!current.gameOver) return { years: projected, failure: null };
+
+        const condition = FAILURE_CONDITIONS.find(candidate => candidate.failed(current)) ||
+            { id: 'scenario', icon: '🎯', warning: 'The scenario is lost' };
+        return {
+            years: projected,
+            failure: {
+                id: condition.id,
+                icon: condition.icon,
+                warning: condition.warning,
+                reason: current.gameOver,
+                year: current.year,
+                yearsAway: current.year - state.year
+            }
+        };
+    }
+
+    // What-if: the coming expected year (see simulateYear) with and without
+    // `actions`, from the same state. Returns today's figures and both
+    // outcomes as history records, plus why a policy change was refused
+    // (e.g. no budget for a launch), else null.
+    function previewActions(state, actions) {
+        const refusal = applyActions(state, actions).events.find(event => event.type === 'policyRefused');
+
+        return {
+            now: createHistoryRecord(state),
+            current: createHistoryRecord(simulateYear(state, [], true).state),
+            changed: createHistoryRecord(simulateYear(state, actions, true).state),
+            refused: refusal ? refusal.message : null
+        };
+    }
+
+    // The advisor: the forecast failure, if any, as a warning with a
+    // severity and the policy toggles that would avert it or at least put it
+    // off, best first. Returns null when the forecast is clear.
+    function getAdvisorWarning(state) {
+        if (state.gameOver) return null;
+
+        const failure = forecast(state).failure;
+        if (!failure) return null;
+
+        const fixes = POLICIES
+            .map(policy => {
+                const outcome = forecast(state, FORECAST.YEARS, [{ type: 'togglePolicy', policy: policy.id }]).failure;
+                return {
+                    policy: policy.id,
+                    name: policy.name,
+                    icon: policy.icon,
+                    turnOn: !state.policies[policy.id],
+                    averts: !outcome,
+                    delayedTo: outcome ? outcome.year : null
+                };
+            })
+            .filter(fix => fix.averts || fix.delayedTo > failure.year)
+            .sort((a, b) => (b.averts - a.averts) || (b.delayedTo - a.delayedTo));
+
+        return {
+            ...failure,
+            severity: FORECAST.SEVERITIES.find(severity => failure.yearsAway <= severity.within),
+            fixes: fixes
+        };
+    }
+
+    // Random Events
+    // Fires the follow-ups due this year, then rolls for a random event
+    // among the eligible ones
+    function runEvents(state, events, random) {
+        const due = state.scheduledEvents.filter(scheduled => scheduled.year <= state.year);
+        state.scheduledEvents = state.scheduledEvents.filter(scheduled => scheduled.year > state.year);
+        due.forEach(scheduled => fireEvent(state, getRandomEvent(scheduled.event), events, random));
+
+        if (random() >= SIM_CONFIG.EVENT_CHANCE) return;
+
+        const candidates = RANDOM_EVENTS
+            .map(event => ({ event: event, weight: isEventEligible(state, event) ? getEventWeight(state, event) : 0 }))
+            .filter(candidate => candidate.weight > 0);
+        const picked = pickWeighted(candidates, random);
+        if (picked) fireEvent(state, picked.event, events, random);
+    }
+
+    function isEventEligible(state, event) {
+        if (event.options && state.pendingDecision) return false;
+
+        const lastYear = state.eventCooldowns[event.id];
+        if (lastYear !== undefined && state.year - lastYear < (event.cooldown || 0)) return false;
+        return !event.condition || event.condition(state);
+    }
+
+    // A scenario can make an event likelier, rarer or impossible
+    function getEventWeight(state, event) {
+        const weight = typeof event.weight === 'function' ? event.weight(state) : event.weight;
+        const scenario = getScenario(state.scenario);
+        const multiplier = scenario && scenario.eventWeights ? scenario.eventWeights[event.id] : undefined;
+        return multiplier === undefined ? weight : weight * multiplier;
+    }
+
+    // Items are { weight, ... }; returns one of them or null
+    function pickWeighted(items, random) {
+        const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+        let roll = random() * totalWeight;
+
+        for (const item of items) {
+            if (roll < item.weight) return item;
+            roll -= item.weight;
+        }
+        return null;
+    }
+
+    function fireEvent(state, definition, events, random) {
+        const event = definition.variants ? { ...definition, ...pickWeighted(definition.variants, random) } : definition;
+        const effects = rollEffects(event.effects, random);
+
+        state.eventCooldowns[event.id] = state.year;
+        events.push({
+            type: 'notification',
+            message: typeof event.message === 'function' ? event.message(effects) : event.message,
+            level: event.level
+        });
+        applyOutcome(state, event.id, event, effects, event.ledgerLabel || event.name, events, random);
+
+        if (event.options) {
+            state.pendingDecision = { event: event.id, year: state.year };
+            events.push({ type: 'decision', event: event.id, year: state.year });
+        }
+
+        events.push({ type: 'effect', color: event.color, count: event.particles });
+        events.push({ type: 'randomEvent', name: event.name, year: state.year });
+    }
+
+    // What an event or a decision option does: effects now, lasting effects
+    // in the coming years, arrivals and follow-ups
+    function applyOutcome(state, eventId, outcome, effects, label, events, random) {
+        applyEventEffects(state, effects, { id: `event.${eventId}`, label: label }, events);
+
+        if (outcome.arrivals) {
+            admitArrivals(state, outcome.arrivals, events);
+        }
+        if (outcome.lasting) {
+            state.lastingEffects.push({ event: eventId, label: label, yearsLeft: outcome.lasting.years, effects: outcome.lasting.effects });
+        }
+        (outcome.followUps || []).forEach(followUp => {
+            if (followUp.chance === undefined || random() < followUp.chance) {
+                state.scheduledEvents.push({ event: followUp.event, year: state.year + followUp.delay });
+            }
+        });
+    }
+
+    function rollEffects(effects = {}, random) {
+        const rolled = {};
+        Object.keys(effects).forEach(key => {
+            const value = effects[key];
+            rolled[key] = Array.isArray(value) ? Math.floor(random() * (value[1] - value[0]) + value[0]) : value;
+        });
+        return rolled;
+    }
+
+    // People let in by an event arrive at once, with the age mix, skills
+    // and integration of those the named policy brings
+    function admitArrivals(state, arrivals, events) {
+        const policy = getPolicy(arrivals.policy);
+        const split = splitPeople(arrivals.count, policy.ageProfile);
+
+        COHORTS.forEach(cohort => {
+            state.cohorts[cohort] += split[cohort];
+        });
+        state.population = sumCohorts(state.cohorts);
+        state.skilledWorkers += Math.round(split.working * policy.skilledShare);
+        state.immigrantCohorts.push({ policy: policy.id, year: state.year, size: arrivals.count, integration: policy.integration.start });
+
+        events.push({ type: 'immigrants', policy: policy.id, count: Math.ceil(arrivals.count / 10) });
+    }
+
+    // Applies the chosen option of the decision waiting for the player
+    function chooseOption(state, index, events) {
+        const decision = state.pendingDecision;
+        if (!decision) return;
+
+        const event = getRandomEvent(decision.event);
+        const option = event.options[index];
+        if (!option) return;
+
+        const random = () => nextRandom(state);
+        const label = option.ledgerLabel || event.ledgerLabel || event.name;
+
+        state.pendingDecision = null;
+        state.decisions.push({ year: decision.year, event: event.id, option: index });
+        events.push({ type: 'decisionMade', event: event.id, name: event.name, option: index, label: option.label, year: decision.year });
+        applyOutcome(state, event.id, option, rollEffects(option.effects, random), label, events, random);
+    }
+
+    // Consequences of an option as shown to the player: its hint if it has
+    // one, otherwise its effects spelled out
+    function describeOption(option) {
+        if (option.hint) return option.hint;
+
+        const parts = [];
+        if (option.arrivals) parts.push(`${option.arrivals.count} people arrive`);
+        if (option.effects) parts.push(describeEffects(option.effects));
+        if (option.lasting) parts.push(`for ${option.lasting.years} years: ${describeEffects(option.lasting.effects)}`);
+        return parts.filter(part => part).join('; ') || 'No immediate effect';
+    }
+
+    // An event's one-off effects land straight on the state, after the
+    // year has been worked out
+    function applyEventEffects(state, effects, source, events) {
+        Object.keys(effects).forEach(key => {
+            const amount = effects[key];
+            if (key === 'budget') {
+                bookOneOff(state, source.id, source.label, amount);
+            } else if (key === 'populationShare') {
+                const lost = Math.floor(state.population * -amount);
+                removePeople(state, lost);
+                if (lost > 0) {
+                    events.push({ type: 'notification', message: `💔 ${lost.toLocaleString()} lives lost`, level: 'error' });
+                }
+            } else if (key === 'unemployment') {
+                state.unemployment = Math.max(0, state.unemployment + amount);
+            } else {
+                state[key] += amount;
+            }
+        });
+    }
+
+    // Effects of earlier events that last several years join this year's
+    // changes
+    function applyLastingEffects(state, changes) {
+        state.lastingEffects.forEach(lasting => {
+            addEffects(state, changes, lasting.effects, undefined, undefined, { id: `event.${lasting.event}`, label: lasting.label });
+        });
+        state.lastingEffects = state.lastingEffects
+            .map(lasting => ({ ...lasting, yearsLeft: lasting.yearsLeft - 1 }))
+            .filter(lasting => lasting.yearsLeft > 0);
+    }
+
+    function getRandomEvent(eventId) {
+        return RANDOM_EVENTS.find(event => event.id === eventId) || null;
+    }
+
+    // Achievement System
+    function checkAchievements(state, events) {
+        ACHIEVEMENTS.forEach(achievement => {
+            const value = achievement.progress(state);
+            achievement.tiers.forEach((goal, index) => {
+                const unlockId = `${achievement.id}.${index + 1}`;
+                if (value >= goal && !state.achievements.includes(unlockId)) {
+                    state.achievements.push(unlockId);
+                    events.push({ type: 'achievement', id: unlockId, ...describeAchievement(unlockId) });
+                }
+            });
+        });
+    }
+
+    // Consecutive year-ends, up to now, for which `test` holds. The state
+    // counts as the latest year when its record isn't written yet.
+    function countYearsInARow(state, test) {
+        const records = state.history.slice();
+        if (records.length === 0 || records[records.length - 1].year !== state.year) records.push(state);
+
+        let count = 0;
+        for (let i = records.length - 1; i >= 0 && test(records[i]); i--) count++;
+        return count;
+    }
+
+    // { name, icon } of a tier, e.g. "Growing Nation (Silver)", or null
+    function describeAchievement(unlockId) {
+        const [achievementId, number] = unlockId.split('.');
+        const achievement = ACHIEVEMENTS.find(candidate => candidate.id === achievementId);
+        if (!achievement || !achievement.tiers[number - 1]) return null;
+
+        const tierName = achievement.tiers.length > 1 ? ` (${ACHIEVEMENT_TIER_NAMES[number - 1]})` : '';
+        return { name: achievement.name + tierName, icon: achievement.icon };
+    }
+
+    // Every achievement with the run's progress and which tiers it unlocked
+    function getAchievementProgress(state) {
+        return ACHIEVEMENTS.map(achievement => {
+            const format = achievement.format || (value => value.toLocaleString());
+            return {
+                id: achievement.id,
+                name: achievement.name,
+                icon: achievement.icon,
+                hidden: !!achievement.hidden,
+                value: achievement.progress(state),
+                tiers: achievement.tiers.map((goal, index) => ({
+                    id: `${achievement.id}.${index + 1}`,
+                    name: achievement.tiers.length > 1 ? ACHIEVEMENT_TIER_NAMES[index] : null,
+                    goal: goal,
+                    description: achievement.description.replace('{goal}', format(goal)),
+                    unlocked: state.achievements.includes(`${achievement.id}.${index + 1}`)
+                })),
+                format: format
+            };
+        });
+    }
+
+    // Scenario Objectives
+    function getScenario(scenarioId) {
+        return SCENARIOS.find(scenario => scenario.id === scenarioId) || null;
+    }
+
+    function getScenarioDeadline(scenario) {
+        return SIM_CONFIG.START_YEAR + scenario.years;
+    }
+
+    // "Population at least 5,000" or "Keep happiness at least 60%"
+    function describeObjective(objective) {
+        const stat = OBJECTIVE_STATS[objective.stat];
+        if (stat.goal && !objective.keep) return stat.goal(objective.min);
+
+        const target = objective.min !== undefined
+            ? `at least ${stat.format(objective.min)}`
+            : `at most ${stat.format(objective.max)}`;
+        return objective.keep ? `Keep ${stat.name.toLowerCase()} ${target}` : `${stat.name} ${target}`;
+    }
+
+    function isObjectiveMet(state, objective) {
+        const value = state[objective.stat];
+        return (objective.min === undefined || value >= objective.min) &&
+            (objective.max === undefined || value <= objective.max);
+    }
+
+    // The running scenario's objectives as { label, keep, met }, or [] in
+    // free play
+    function getObjectiveProgress(state) {
+        const scenario = getScenario(state.scenario);
+        if (!scenario) return [];
+
+        return scenario.objectives.map(objective => ({
+            label: describeObjective(objective),
+            keep: !!objective.keep,
+            met: isObjectiveMet(state, objective)
+        }));
+    }
+
+    // Checked at the end of every year. A won scenario is a victory, after
+    // which the player may carry on in free play; a lost one ends the game,
+    // as does any other game over.
+    function checkScenario(state, events) {
+        const scenario = getScenario(state.scenario);
+        if (!scenario || state.scenarioStatus !== 'active') return;
+
+        if (state.gameOver) {
+            state.scenarioStatus = 'failed';
+            return;
+        }
+
+        const progress = getObjectiveProgress(state);
+        const broken = progress.find(objective => objective.keep && !objective.met);
+        const goals = progress.filter(objective => !objective.keep);
+        const deadlinePassed = state.year >= getScenarioDeadline(scenario);
+
+        let reason = null;
+        if (broken) {
+            reason = `🎯 Scenario failed! Objective missed: ${broken.label}`;
+        } else if (goals.length > 0 ? goals.every(objective => objective.met) : deadlinePassed) {
+            state.scenarioStatus = 'won';
+            events.push({ type: 'scenarioComplete', scenario: scenario.id, name: scenario.name, icon: scenario.icon, year: state.year });
+            winRun(state, `${scenario.name} complete`, scenario.icon, events);
+        } else if (deadlinePassed) {
+            reason = `⌛ Out of time! ${scenario.name} needed: ${goals.filter(objective => !objective.met).map(objective => objective.label).join(', ')}`;
+        }
+
+        if (reason) {
+            state.scenarioStatus = 'failed';
+            state.gameOver = reason;
+            events.push({ type: 'gameOver', reason: reason });
+        }
+    }
+
+    // Free play is won by the first victory condition met; scenarios are
+    // won by their own objectives
+    function checkVictory(state, events) {
+        if (state.scenario || state.victory || state.gameOver) return;
+
+        const condition = VICTORY_CONDITIONS.find(victory =>
+            victory.objectives.every(objective => isObjectiveMet(state, objective)));
+        if (condition) winRun(state, condition.name, condition.icon, events);
+    }
+
+    function winRun(state, name, icon, events) {
+        state.victory = { name: name, icon: icon, year: state.year };
+        events.push({ type: 'victory', name: name, icon: icon, year: state.year });
+    }
+
+    // Elections
+    function createTerm(state) {
+        return { start: state.year, gdp: state.gdp, switches: {} };
+    }
+
+    function getNextElection(state) {
+        return state.term.start + ELECTIONS.TERM;
+    }
+
+    function getParty(partyId) {
+        return PARTIES.find(party => party.id === partyId) || null;
+    }
+
+    // Whether the coalition holds a policy on (true) or off (false), or
+    // undefined if the policy is free
+    function getCoalitionDemand(state, policyId) {
+        const partner = state.coalition && getParty(state.coalition.partner);
+        return partner ? partner.demands[policyId] : undefined;
+    }
+
+    function countUnmetDemands(state, party) {
+        return Object.keys(party.demands).filter(policyId => (state.policies[policyId] > 0) !== party.demands[policyId]).length;
+    }
+
+    // The government's approval as { share, factors: [{ id, label, points }] }.
+    // `events` are this year's, not yet in the history.
+    function getApproval(state, events = []) {
+        const rules = ELECTIONS.APPROVAL;
+        const eventNames = state.history
+            .filter(record => record.year > state.term.start)
+            .reduce((names, record) => names.concat(record.events), [])
+            .concat(events.filter(event => event.type === 'randomEvent').map(event => event.name));
+        const newsOf = level => eventNames.filter(name => {
+            const event = RANDOM_EVENTS.find(candidate => candidate.name === name);
+            return event && event.level === level;
+        }).length;
+        const growth = state.gdp / state.term.gdp - 1;
+        const flipFlops = Object.keys(state.term.switches)
+            .reduce((sum, policyId) => sum + Math.max(0, state.term.switches[policyId] - 1), 0);
+
+        const factors = [
+            { id: 'base', label: '🏛️ Loyal voters', points: rules.BASE },
+            { id: 'happiness', label: '😊 Happiness', points: state.happiness * rules.HAPPINESS },
+            { id: 'unemployment', label: '📊 Unemployment', points: -Math.max(0, state.unemployment - rules.UNEMPLOYMENT.natural) * rules.UNEMPLOYMENT.points },
+            { id: 'economy', label: '💰 Economy', points: Math.max(-rules.GROWTH.max, Math.min(rules.GROWTH.max, growth * rules.GROWTH.points)) },
+            { id: 'events', label: '📰 Events', points: (newsOf('success') - newsOf('error')) * rules.EVENT },
+            { id: 'flipFlops', label: '🔄 Flip-flops', points: -flipFlops * rules.FLIP_FLOP }
+        ].map(factor => ({ ...factor, points: Math.round(factor.points * 10) / 10 }));
+
+        const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+        return {
+            share: Math.round(Math.max(ELECTIONS.SHARE.min, Math.min(ELECTIONS.SHARE.max, total)) * 10) / 10,
+            factors: factors
+        };
+    }
+
+    // Held at the end of every TERM years, unless the nation collapsed
+    // anyway. The result is kept in `elections`; a defeat ends the run
+    // through FAILURE_CONDITIONS.
+    function holdElection(state, events) {
+        if (state.year < getNextElection(state) || FAILURE_CONDITIONS.some(condition => condition.failed(state))) return;
+
+        const approval = getApproval(state, events);
+        const opposition = 100 - approval.share;
+        const weights = PARTIES.map(party => 1 + countUnmetDemands(state, party));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const parties = PARTIES.map((party, index) => ({
+            id: party.id,
+            share: Math.round(opposition * weights[index] / totalWeight * 10) / 10
+        }));
+
+        let outcome = 'defeat';
+        let partner = null;
+        if (approval.share >= ELECTIONS.MAJORITY) {
+            outcome = 'majority';
+        } else if (approval.share >= ELECTIONS.COALITION) {
+            outcome = 'coalition';
+            partner = PARTIES.reduce((best, party) =>
+                countUnmetDemands(state, party) < countUnmetDemands(state, best) ? party : best);
+        }
+
+        const result = { year: state.year, share: approval.share, factors: approval.factors, parties: parties, outcome: outcome, partner: partner ? partner.id : null };
+        state.elections.push(result);
+        state.term = createTerm(state);
+        if (partner && state.coalition && state.coalition.partner === partner.id) {
+            events.push({ type: 'notification', message: `🤝 The coalition with the ${partner.icon} ${partner.name} goes on until the next election`, level: 'info' });
+        } else {
+            endCoalition(state, events);
+            if (partner) formCoalition(state, partner, events);
+        }
+
+        events.push({ type: 'election', ...result });
+    }
+
+    // The partner's demands take effect at once, as far as they can: a
+    // policy it wants on needs the budget for its launch and no exclusive
+    // rival, like any other. `concessions` remembers the levels they
+    // replaced ({ policyId: level }) for when the coalition ends.
+    function formCoalition(state, partner, events) {
+        const concessions = {};
+        Object.keys(partner.demands).forEach(policyId => {
+            const on = partner.demands[policyId];
+            if ((state.policies[policyId] > 0) === on) return;
+
+            const previous = state.policies[policyId];
+            const refusal = imposePolicyLevel(state, policyId, on ? getDefaultLevel(getPolicy(policyId)) : 0, events);
+            if (refusal) {
+                events.push({ type: 'notification', message: `🤝 The ${partner.name} can't have ${getPolicy(policyId).name} ${on ? 'on' : 'off'}: ${refusal}`, level: 'error' });
+            } else {
+                concessions[policyId] = previous;
+            }
+        });
+        state.coalition = { partner: partner.id, since: state.year, concessions: concessions };
+
+        const terms = Object.keys(partner.demands)
+            .map(policyId => `${getPolicy(policyId).name} ${partner.demands[policyId] ? 'on' : 'off'}`)
+            .join(', ');
+        events.push({ type: 'notification', message: `🤝 Coalition with the ${partner.icon} ${partner.name}: ${terms} until the next election`, level: 'info' });
+    }
+
+    // When the partner leaves government its concessions lapse: each policy
+    // goes back to the level it replaced, unless that is refused now (a
+    // rival the player enabled since, or no budget to relaunch it)
+    function endCoalition(state, events) {
+        if (!state.coalition) return;
+
+        const partner = getParty(state.coalition.partner);
+        const concessions = state.coalition.concessions;
+        state.coalition = null;
+        const restored = [];
+        Object.keys(concessions).forEach(policyId => {
+            const level = concessions[policyId];
+            const policy = getPolicy(policyId);
+            const refusal = imposePolicyLevel(state, policyId, level, events);
+            if (refusal) {
+                events.push({ type: 'notification', message: `↩️ ${policy.name} stays ${state.policies[policyId] > 0 ? 'on' : 'off'}: ${refusal}`, level: 'error' });
+            } else {
+                restored.push(`${policy.name} ${level > 0 ? 'on' : 'off'}`);
+            }
+        });
+
+        if (restored.length > 0) {
+            events.push({ type: 'notification', message: `🤝 The coalition with the ${partner.icon} ${partner.name} ends: ${restored.join(', ')} again`, level: 'info' });
+        }
+    }
+
+    // Sets a policy for a coalition deal rather than a player's choice: the
+    // same checks and launch cost as setPolicyLevel, but no flip-flop.
+    // Returns why it was refused, or null.
+    function imposePolicyLevel(state, policyId, level, events) {
+        const policy = getPolicy(policyId);
+        if (state.policies[policyId] === level) return null;
+
+        const refusal = getPolicyRefusal(state, policyId, level);
+        if (refusal) return refusal;
+
+        if (!state.policies[policyId] && level > 0) {
+            state.policyStarted[policyId] = state.year;
+            bookOneOff(state, `launch.${policyId}`, `${policy.name} launch`, -getPolicyCost(policy, level));
+        }
+        state.policies[policyId] = level;
+        events.push({ type: 'policyChanged', policy: policyId, enabled: level > 0, level: level });
+        return null;
+    }
+
+    function checkGameState(state, events) {
+        const failure = FAILURE_CONDITIONS.find(condition => condition.failed(state));
+
+        if (failure) {
+            state.gameOver = failure.reason;
+            events.push({ type: 'gameOver', reason: failure.reason });
+        }
+    }
+
+    // ==============================================
+    // SECTION 7: SAVE FILES
+    // ==============================================
+    // Saves are plain JSON: { format, version, name, savedAt, sim, world }.
+    // `world` is whatever else the 3D scene needs to rebuild itself (people);
+    // the simulation only checks its shape.
+
+    const SAVE_FORMAT = 'nation-builder-vr-save';
+    const SAVE_VERSION = 20;
+
+    // SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1. When the
+    // saved state changes shape, add an entry here and bump SAVE_VERSION.
+    const SAVE_MIGRATIONS = {
+        // v2 added per-year history; older saves start it from the saved year.
+        // The row has the v2 shape: later migrations fill in the rest.
+        1: save => {
+            const sim = save.sim;
+            sim.history = [{
+                year: sim.year,
+                population: sim.population,
+                gdp: sim.gdp,
+                happiness: sim.happiness,
+                unemployment: sim.unemployment,
+                budget: sim.budget,
+                score: sim.score,
+                policies: Object.keys(sim.policies).filter(policy => sim.policies[policy]),
+                events: []
+            }];
+            return save;
+        },
+        // v3 added budget items and unlocked achievements to history rows
+        2: save => {
+            save.sim.history = save.sim.history.map(record => ({
+                achievements: [],
+                budgetChange: 0,
+                budgetItems: [],
+                ...record
+            }));
+            return save;
+        },
+        // v4 moved policies into the registry: start years for every policy,
+        // and policy income lines keyed by policy id
+        3: save => {
+            const started = save.sim.refugeeProgramStarted;
+            save.sim.policyStarted = started ? { refugee: started } : {};
+            delete save.sim.refugeeProgramStarted;
+
+            save.sim.history.forEach(record => {
+                record.budgetItems.forEach(item => {
+                    if (item.id === 'investorVisa') item.id = 'income.investor';
+                });
+            });
+            return save;
+        },
+        // v5 replaced on/off policies with levels (annual quotas)
+        4: save => {
+            const toLevels = isActive => {
+                const levels = {};
+                POLICIES.forEach(policy => {
+                    levels[policy.id] = isActive(policy.id) ? getDefaultLevel(policy) : 0;
+                });
+                return levels;
+            };
+
+            const policies = save.sim.policies || {};
+            save.sim.policies = toLevels(id => policies[id] === true);
+            save.sim.history.forEach(record => {
+                record.policyLevels = toLevels(id => record.policies.includes(id));
+            });
+            return save;
+        },
+        // v6 split the population into age cohorts; older saves get the
+        // starting age mix
+        5: save => {
+            save.sim.cohorts = splitPeople(save.sim.population, DEMOGRAPHICS.INITIAL_SHARES);
+            save.sim.history = save.sim.history.map(record => ({
+                cohorts: splitPeople(record.population, DEMOGRAPHICS.INITIAL_SHARES),
+                births: 0,
+                deaths: 0,
+                ...record
+            }));
+            return save;
+        },
+        // v7 tracked immigrant cohorts' integration and added Language
+        // Programs; earlier arrivals count as already integrated
+        6: save => {
+            save.sim.policies.language = 0;
+            save.sim.immigrantCohorts = [];
+            save.sim.integrated = {};
+            save.sim.history.forEach(record => {
+                record.policyLevels.language = 0;
+                record.integrating = 0;
+                record.integrationLevel = 0;
+            });
+            return save;
+        },
+        // v8 moved the city layout into the simulation, where its sectors
+        // provide jobs, and split the workforce into skilled and general
+        7: save => {
+            save.sim.buildings = save.world.buildings;
+            delete save.world.buildings;
+            save.sim.skilledWorkers = Math.round(save.sim.cohorts.working * LABOR.SKILLED_SHARE);
+            return save;
+        },
+        // v9 let the city grow: buildings got ids and can stand empty
+        8: save => {
+            save.sim.buildings.forEach((building, index) => {
+                building.id = index + 1;
+                building.vacantSince = null;
+            });
+            save.sim.nextBuildingId = save.sim.buildings.length + 1;
+            save.sim.history.forEach(record => {
+                record.buildings = save.sim.buildings.length;
+            });
+            return save;
+        },
+        // v10 put taxes and public services in the player's hands; the old
+        // single services line is split across the new spending lines
+        9: save => {
+            const fiscal = createDefaultFiscal();
+            const perCapita = FISCAL.SPENDING.reduce((sum, service) => sum + service.perCapita, 0);
+
+            save.sim.fiscal = fiscal;
+            save.sim.graduateSkilledShare = LABOR.SKILLED_SHARE;
+            save.sim.history.forEach(record => {
+                record.taxRate = fiscal.taxRate;
+                record.spending = { ...fiscal.spending };
+                record.budgetItems = [].concat(...record.budgetItems.map(item => item.id !== 'services' ? [item] :
+                    FISCAL.SPENDING.map(service => ({
+                        id: `spending.${service.id}`,
+                        label: service.name,
+                        amount: Math.round(item.amount * service.perCapita / perCapita)
+                    }))));
+            });
+            return save;
+        },
+        // v11 booked one-off costs in the yearly ledger
+        10: save => {
+            save.sim.oneOffItems = [];
+            return save;
+        },
+        // v12 modeled national debt; a negative budget is now an overdraft
+        11: save => {
+            save.sim.debt = 0;
+            save.sim.missedPayments = 0;
+            save.sim.austerityUntil = null;
+            save.sim.creditRating = getCreditRating(save.sim);
+            save.sim.history.forEach(record => {
+                record.debt = Math.max(0, -record.budget);
+                record.creditRating = null;
+            });
+            return save;
+        },
+        // v13 moved random events into a registry with cooldowns, lasting
+        // effects and follow-ups
+        12: save => {
+            save.sim.lastingEffects = [];
+            save.sim.scheduledEvents = [];
+            save.sim.eventCooldowns = {};
+            return save;
+        },
+        // v14 added decision events and the log of choices made
+        13: save => {
+            save.sim.pendingDecision = null;
+            save.sim.decisions = [];
+            return save;
+        },
+        // v15 added scenarios; older games are free play
+        14: save => {
+            save.sim.scenario = null;
+            save.sim.scenarioStatus = null;
+            return save;
+        },
+        // v16 added victories; a scenario already won counts as one
+        15: save => {
+            const scenario = getScenario(save.sim.scenario);
+            save.sim.victory = save.sim.scenarioStatus === 'won'
+                ? { name: `${scenario.name} complete`, icon: scenario.icon, year: save.sim.year }
+                : null;
+            return save;
+        },
+        // v17 made achievements tiered; the old ones are gone and what the
+        // saved game has already earned is worked out again
+        16: save => {
+            save.sim.achievements = [];
+            checkAchievements(save.sim, []);
+            return save;
+        },
+        // v18 added elections; a game saved mid-term goes to the polls at
+        // the end of its current term
+        17: save => {
+            const sim = save.sim;
+            sim.elections = [];
+            sim.coalition = null;
+            sim.term = {
+                start: sim.year - (sim.year - SIM_CONFIG.START_YEAR) % ELECTIONS.TERM,
+                gdp: sim.gdp,
+                switches: {}
+            };
+            return save;
+        },
+        // v19 remembered what a coalition partner changed; a coalition saved
+        // without it leaves its policies as they are when it ends
+        18: save => {
+            if (save.sim.coalition) save.sim.coalition.concessions = {};
+            return save;
+        },
+        // v20 remembered that the city ran out of lots; a full city saved
+        // before that says so once more after loading
+        19: save => {
+            save.sim.cityFull = false;
+            return save;
+        }
+    };
+
+    function createSaveFile(sim, world, name) {
+        return {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            name: name,
+            savedAt: Date.now(),
+            sim: sim,
+            world: world
+        };
+    }
+
+    // Returns a migrated, validated copy of `data` or throws an Error whose
+    // message can be shown to the player. Nothing is applied on failure.
+    function readSaveFile(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('File does not contain a saved game.');
+        }
+        if (data.format !== SAVE_FORMAT) {
+            throw new Error('Not a Nation Builder VR save file.');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('Save file has no valid version number.');
+        }
+        if (data.version > SAVE_VERSION) {
+            throw new Error(`Save file is version ${data.version}, but this game only reads up to version ${SAVE_VERSION}.`);
+        }
+
+        // Migrations expect a game and a world to work on; a save too broken
+        // to upgrade is as corrupt as one that fails the checks below
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(data.sim) || !isObject(data.world)) {
+            throw new Error('Save file is corrupt: the game or the world is missing.');
+        }
+
+        let save = JSON.parse(JSON.stringify(data));
+        while (save.version < SAVE_VERSION) {
+            try {
+                save = SAVE_MIGRATIONS[save.version](save);
+            } catch (error) {
+                throw new Error(`Save file is corrupt: it could not be upgraded from version ${save.version}.`);
+            }
+            save.version++;
+        }
+
+        const problems = findSaveProblems(save);
+        if (problems.length > 0) {
+            throw new Error(`Save file is corrupt: ${problems.slice(0, 3).join('; ')}.`);
+        }
+
+        return save;
+    }
+
+    function findSaveProblems(save) {
+        const problems = [];
+        const sim = save.sim;
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (!sim || typeof sim !== 'object') {
+            return ['missing simulation state'];
+        }
+
+        ['population', 'gdp', 'happiness', 'unemployment', 'year', 'budget', 'score', 'seed', 'rngState', 'skilledWorkers', 'graduateSkilledShare', 'nextBuildingId', 'debt', 'missedPayments'].forEach(key => {
+            if (!isNumber(sim[key])) problems.push(`"${key}" is not a number`);
+        });
+
+        if (!DIFFICULTY_SETTINGS[sim.difficulty]) problems.push(`unknown difficulty "${sim.difficulty}"`);
+        if (!Array.isArray(sim.achievements) || sim.achievements.some(unlockId => typeof unlockId !== 'string' || !describeAchievement(unlockId))) {
+            problems.push('achievements are malformed');
+        }
+        if (!Array.isArray(sim.history)) problems.push('history is not a list');
+        if (!sim.policyStarted || typeof sim.policyStarted !== 'object') problems.push('missing policy start years');
+        if (!sim.cohorts || !COHORTS.every(cohort => isNumber(sim.cohorts[cohort]) && sim.cohorts[cohort] >= 0)) {
+            problems.push('missing age cohorts');
+        }
+        if (!Array.isArray(sim.immigrantCohorts) || sim.immigrantCohorts.some(cohort =>
+            !cohort || !getPolicy(cohort.policy) || !isNumber(cohort.size) || !isNumber(cohort.integration))) {
+            problems.push('immigrant cohorts are malformed');
+        }
+        if (!sim.integrated || typeof sim.integrated !== 'object') problems.push('missing integrated totals');
+        if (typeof sim.cityFull !== 'boolean') problems.push('whether the city is full is unknown');
+        if (getRatingIndex(sim.creditRating) < 0) problems.push(`unknown credit rating "${sim.creditRating}"`);
+        if (!(sim.austerityUntil === null || isNumber(sim.austerityUntil))) problems.push('austerity end year is not a number');
+        if (!Array.isArray(sim.lastingEffects) || sim.lastingEffects.some(lasting =>
+            !lasting || !getRandomEvent(lasting.event) || !isNumber(lasting.yearsLeft) || !lasting.effects)) {
+            problems.push('lasting event effects are malformed');
+        }
+        if (!Array.isArray(sim.scheduledEvents) || sim.scheduledEvents.some(scheduled =>
+            !scheduled || !getRandomEvent(scheduled.event) || !isNumber(scheduled.year))) {
+            problems.push('scheduled events are malformed');
+        }
+        if (!sim.eventCooldowns || typeof sim.eventCooldowns !== 'object') problems.push('missing event cooldowns');
+        if (sim.pendingDecision !== null && !(sim.pendingDecision && getRandomEvent(sim.pendingDecision.event) && getRandomEvent(sim.pendingDecision.event).options)) {
+            problems.push('the pending decision is unknown');
+        }
+        if (!Array.isArray(sim.decisions) || sim.decisions.some(decision => {
+            const event = decision && getRandomEvent(decision.event);
+            return !event || !event.options || !event.options[decision.option] || !isNumber(decision.year);
+        })) {
+            problems.push('decisions are malformed');
+        }
+        if (sim.scenario !== null && !getScenario(sim.scenario)) problems.push(`unknown scenario "${sim.scenario}"`);
+        if (sim.scenario !== null ? !['active', 'won', 'failed'].includes(sim.scenarioStatus) : sim.scenarioStatus !== null) {
+            problems.push('the scenario status is invalid');
+        }
+        if (sim.victory !== null && !(sim.victory && typeof sim.victory.name === 'string' && isNumber(sim.victory.year))) {
+            problems.push('the victory is malformed');
+        }
+        if (!Array.isArray(sim.elections) || sim.elections.some(election =>
+            !election || !isNumber(election.year) || !isNumber(election.share) ||
+            !['majority', 'coalition', 'defeat'].includes(election.outcome) ||
+            !Array.isArray(election.factors) || !Array.isArray(election.parties))) {
+            problems.push('elections are malformed');
+        }
+        if (sim.coalition !== null && !(sim.coalition && getParty(sim.coalition.partner))) {
+            problems.push('the coalition is unknown');
+        } else if (sim.coalition && !(sim.coalition.concessions && typeof sim.coalition.concessions === 'object' &&
+            Object.keys(sim.coalition.concessions).every(policyId => getPolicy(policyId) && isNumber(sim.coalition.concessions[policyId])))) {
+            problems.push('the coalition\'s concessions are malformed');
+        }
+        if (!sim.term || !isNumber(sim.term.start) || !isNumber(sim.term.gdp) || !sim.term.switches || typeof sim.term.switches !== 'object') {
+            problems.push('the term is malformed');
+        }
+        if (!Array.isArray(sim.oneOffItems) || sim.oneOffItems.some(item =>
+            !item || typeof item.id !== 'string' || !isNumber(item.amount))) {
+            problems.push('one-off budget items are malformed');
+        }
+        if (!sim.fiscal || !isNumber(sim.fiscal.taxRate) || !sim.fiscal.spending ||
+            !FISCAL.SPENDING.every(service => isNumber(sim.fiscal.spending[service.id]))) {
+            problems.push('missing tax and spending settings');
+        }
+
+        if (!sim.policies || typeof sim.policies !== 'object') {
+            problems.push('missing policies');
+        } else {
+            POLICIES.forEach(policy => {
+                const level = sim.policies[policy.id];
+                if (!isNumber(level) || level < 0) problems.push(`policy "${policy.id}" has no valid level`);
+            });
+        }
+
+        if (!Array.isArray(sim.buildings)) {
+            problems.push('missing city layout');
+        } else if (sim.buildings.some(building =>
+            !building || !['id', 'width', 'height', 'depth', 'x', 'z'].every(key => isNumber(building[key])) ||
+            !(building.vacantSince === null || isNumber(building.vacantSince)) ||
+            !Array.isArray(building.windows) || !SECTORS.some(sector => sector.id === building.typeName))) {
+            problems.push('a building is malformed');
+        }
+
+        const world = save.world;
+        if (!world || !Array.isArray(world.people)) {
+            problems.push('missing world layout');
+        } else if (world.people.some(person =>
+            !person || !isNumber(person.x) || !isNumber(person.z) || typeof person.type !== 'string')) {
+            problems.push('a person is malformed');
+        }
+
+        return problems;
+    }
+
+    // ==============================================
+    // SECTION 8: TIMELINE EXPORT & RUN SUMMARY
+    // ==============================================
+    // The run's history as spreadsheet-friendly CSV or as JSON, and the
+    // graded summary shown when a run ends.
+
+    const TIMELINE_BUDGET_COLUMNS = ['tax', 'tourism',
+        ...POLICIES.filter(policy => policy.cost < 0).map(policy => `income.${policy.id}`),
+        ...FISCAL.SPENDING.map(service => `spending.${service.id}`),
+        ...POLICIES.filter(policy => policy.cost > 0).map(policy => `upkeep.${policy.id}`),
+        'unemploymentBenefits', 'interest', 'launches', 'events', 'financing'];
+
+    // One-off items are summed into a column per kind
+    function getTimelineBudgetColumn(itemId) {
+        if (itemId.startsWith('launch.')) return 'launches';
+        if (itemId.startsWith('event.')) return 'events';
+        if (itemId.startsWith('debt.')) return 'financing';
+        return itemId;
+    }
+
+    function timelineToCSV(state) {
+        const policies = POLICIES.map(policy => policy.id);
+        const header = [
+            'year', 'population', 'children', 'working_age', 'retirees', 'births', 'deaths',
+            'immigrants_integrating', 'integration_level', 'buildings', 'gdp', 'happiness', 'unemployment', 'budget', 'debt', 'credit_rating', 'score', 'budget_change',
+            'tax_rate', ...FISCAL.SPENDING.map(service => `funding_${service.id}`),
+            ...TIMELINE_BUDGET_COLUMNS.map(id => `budget_${id}`),
+            ...policies.map(policy => `policy_${policy}`),
+            'events', 'decisions', 'achievements'
+        ];
+
+        const rows = state.history.map(record => {
+            const amounts = {};
+            record.budgetItems.forEach(item => {
+                const column = getTimelineBudgetColumn(item.id);
+                amounts[column] = (amounts[column] || 0) + item.amount;
+            });
+
+            return [
+                record.year, record.population, ...COHORTS.map(cohort => record.cohorts[cohort]),
+                record.births, record.deaths, record.integrating, record.integrationLevel, record.buildings, record.gdp, record.happiness, record.unemployment,
+                record.budget, record.debt, record.creditRating || '', record.score, record.budgetChange,
+                record.taxRate, ...FISCAL.SPENDING.map(service => record.spending[service.id]),
+                ...TIMELINE_BUDGET_COLUMNS.map(id => amounts[id] || 0),
+                ...policies.map(policy => record.policyLevels[policy] || 0),
+                record.events.join('; '),
+                state.decisions.filter(decision => decision.year === record.year).map(describeDecision).join('; '),
+                record.achievements.join('; ')
+            ];
+        });
+
+        return [header, ...rows].map(row => row.map(toCSVField).join(',')).join('\r\n');
+    }
+
+    function describeDecision(decision) {
+        const event = getRandomEvent(decision.event);
+        return `${event.name}: ${event.options[decision.option].label}`;
+    }
+
+    function toCSVField(value) {
+        const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function timelineToJSON(state) {
+        return JSON.stringify({
+            format: 'nation-builder-vr-timeline',
+            seedCode: encodeSeedCode(state.seed, state.difficulty),
+            difficulty: state.difficulty,
+            seed: state.seed,
+            scenario: state.scenario,
+            scenarioStatus: state.scenarioStatus,
+            victory: state.victory,
+            elections: state.elections,
+            exportedAt: new Date().toISOString(),
+            gameOver: state.gameOver,
+            achievements: state.achievements,
+            decisions: state.decisions.map(decision => ({ ...decision, summary: describeDecision(decision) })),
+            years: state.history
+        }, null, 2);
+    }
+
+    // Grade, turning points and policies of a run, from its history. The
+    // outcome is how the run ended: a nation that collapsed after winning
+    // and playing on is still a defeat, though the win keeps its points.
+    function summarizeRun(state) {
+        const years = state.year - SIM_CONFIG.START_YEAR;
+        const growth = state.population / state.history[0].population - 1;
+        const share = value => Math.max(0, Math.min(1, value));
+
+        const breakdown = {
+            victory: state.victory ? GRADING.VICTORY : 0,
+            years: GRADING.YEARS.points * share(years / GRADING.YEARS.full),
+            happiness: GRADING.HAPPINESS * share(state.happiness / 100),
+            growth: GRADING.GROWTH.points * share(growth / GRADING.GROWTH.full),
+            achievements: GRADING.ACHIEVEMENTS * state.achievements.length / ACHIEVEMENT_TIER_COUNT
+        };
+        Object.keys(breakdown).forEach(key => {
+            breakdown[key] = Math.round(breakdown[key]);
+        });
+        const points = Object.keys(breakdown).reduce((sum, key) => sum + breakdown[key], 0);
+
+        return {
+            outcome: state.gameOver ? 'defeat' : (state.victory ? 'victory' : 'ongoing'),
+            years: years,
+            grade: GRADING.GRADES.find(grade => points >= grade.min).grade,
+            points: points,
+            breakdown: breakdown,
+            turningPoints: findTurningPoints(state),
+            policies: getPoliciesUsed(state)
+        };
+    }
+
+    // The years that moved the nation most, in order: every stat's change
+    // counts relative to its size (happiness and unemployment in points)
+    function findTurningPoints(state) {
+        const records = state.history;
+
+        return records.slice(1)
+            .map((record, i) => {
+                const previous = records[i];
+                const changes = {
+                    population: record.population - previous.population,
+                    gdp: record.gdp - previous.gdp,
+                    happiness: Math.round((record.happiness - previous.happiness) * 10) / 10,
+                    unemployment: Math.round((record.unemployment - previous.unemployment) * 10) / 10
+                };
+                const swing = Math.abs(changes.population) / previous.population +
+                    Math.abs(changes.gdp) / previous.gdp +
+                    (Math.abs(changes.happiness) + Math.abs(changes.unemployment)) / 100;
+
+                return {
+                    year: record.year,
+                    swing: swing,
+                    changes: changes,
+                    summary: describeEffects(pickNonZero(changes)),
+                    events: record.events,
+                    decisions: state.decisions.filter(decision => decision.year === record.year).map(describeDecision),
+                    policyChanges: describePolicyChanges(previous.policyLevels, record.policyLevels)
+                };
+            })
+            .sort((a, b) => b.swing - a.swing)
+            .slice(0, GRADING.TURNING_POINTS)
+            .sort((a, b) => a.year - b.year);
+    }
+
+    function pickNonZero(values) {
+        const picked = {};
+        Object.keys(values).filter(key => values[key] !== 0).forEach(key => {
+            picked[key] = values[key];
+        });
+        return picked;
+    }
+
+    // "🎓 Skilled Worker Program on", "Open Borders off", "Family Reunion 50/year"
+    function describePolicyChanges(before, after) {
+        return POLICIES
+            .filter(policy => (before[policy.id] || 0) !== (after[policy.id] || 0))
+            .map(policy => {
+                const level = after[policy.id] || 0;
+                const change = !level ? 'off' : (!before[policy.id] || !policy.quota ? 'on' : `${level}/year`);
+                return `${policy.icon} ${policy.name} ${change}`;
+            });
+    }
+
+    // Every policy that was in force at some year's end, for how many years
+    // and at what highest quota
+    function getPoliciesUsed(state) {
+        return POLICIES
+            .map(policy => {
+                const levels = state.history.map(record => record.policyLevels[policy.id] || 0);
+                if (levels.every(level => level === 0)) return null;
+
+                return {
+                    id: policy.id,
+                    name: policy.name,
+                    icon: policy.icon,
+                    years: levels.slice(1).filter(level => level > 0).length,
+                    maxLevel: policy.quota ? Math.max(...levels) : null
+                };
+            })
+            .filter(policy => policy);
+    }
+
+    // ==============================================
+    // SECTION 9: EXPORTS
+    // ==============================================
+
+    const Simulation = {
+        SIM_CONFIG,
+        DIFFICULTY_SETTINGS,
+        COHORTS,
+        DEMOGRAPHICS,
+        INTEGRATION,
+        SECTORS,
+        LABOR,
+        CITY,
+        FISCAL,
+        DEBT,
+        POLICIES,
+        POLICY_INTERACTIONS,
+        RANDOM_EVENTS,
+        ACHIEVEMENTS,
+        ACHIEVEMENT_TIER_COUNT,
+        VICTORY_CONDITIONS,
+        FAILURE_CONDITIONS,
+        ELECTIONS,
+        PARTIES,
+        FORECAST,
+        GRADING,
+        SCENARIOS,
+        createInitialState,
+        createRng,
+        generateCityLayout,
+        calculateLaborMarket,
+        hashSeed,
+        encodeSeedCode,
+        decodeSeedCode,
+        applyActions,
+        simulateYear,
+        runYears,
+        forecast,
+        previewActions,
+        getAdvisorWarning,
+        calculateBudgetItems,
+        calculateYearlyBudget,
+        getFiscalEffects,
+        getTotalDebt,
+        getInterestRate,
+        getPolicy,
+        describeEffects,
+        scaleEffects,
+        getDefaultLevel,
+        getPolicyInteractions,
+        getActiveInteractions,
+        getRandomEvent,
+        describeOption,
+        getScenario,
+        getScenarioDeadline,
+        getApproval,
+        getNextElection,
+        getParty,
+        getCoalitionDemand,
+        describeObjective,
+        describeAchievement,
+        getAchievementProgress,
+        getObjectiveProgress,
+        getAverageIntegration,
+        getPolicyScale,
+        getPolicyCost,
+        SAVE_VERSION,
+        createSaveFile,
+        readSaveFile,
+        timelineToCSV,
+        timelineToJSON,
+        summarizeRun
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Simulation;
+    } else {
+        root.Simulation = Simulation;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,48 @@
+// The forecasting advisor: projected failures, their severity and the fixes it suggests
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require('../simulation.js');
+
+test('a clear forecast gives no warning', () => {
+    const state = Simulation.createInitialState({ seed: 5 });
+    const projection = Simulation.forecast(state);
+
+    assert.strictEqual(projection.failure, null);
+    assert.strictEqual(projection.years.length, Simulation.FORECAST.YEARS);
+    assert.strictEqual(Simulation.getAdvisorWarning(state), null);
+});
+
+test('forecasting is deterministic and leaves the state alone', () => {
+    const state = { ...Simulation.createInitialState({ seed: 5 }), happiness: 8 };
+    const before = JSON.stringify(state);
+
+    assert.deepStrictEqual(Simulation.forecast(state), Simulation.forecast(state));
+    assert.strictEqual(JSON.stringify(state), before);
+});
+
+test('a projected collapse is warned of, with the fixes that avert it first', () => {
+    const state = { ...Simulation.createInitialState({ seed: 5 }), happiness: 3 };
+    const warning = Simulation.getAdvisorWarning(state);
+
+    assert.strictEqual(warning.id, 'happiness');
+    assert.strictEqual(warning.year, state.year + warning.yearsAway);
+    assert.strictEqual(warning.severity, Simulation.FORECAST.SEVERITIES.find(severity => warning.yearsAway <= severity.within));
+    assert.ok(warning.fixes.length > 0);
+
+    const firstDelay = warning.fixes.findIndex(fix => !fix.averts);
+    assert.ok(firstDelay > 0);
+    assert.ok(warning.fixes.slice(firstDelay).every(fix => !fix.averts && fix.delayedTo > warning.year));
+
+    warning.fixes.filter(fix => fix.averts).forEach(fix => {
+        const action = { type: 'togglePolicy', policy: fix.policy };
+        assert.strictEqual(Simulation.forecast(state, Simulation.FORECAST.YEARS, [action]).failure, null);
+    });
+});
+
+test('a failure a year away is critical', () => {
+    const state = { ...Simulation.createInitialState({ seed: 5 }), happiness: 1 };
+    const warning = Simulation.getAdvisorWarning(state);
+
+    assert.strictEqual(warning.yearsAway, 1);
+    assert.strictEqual(warning.severity.id, 'critical');
+});
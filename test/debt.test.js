@@ -0,0 +1,48 @@
+// National debt: borrowing, interest, emergency loans and default
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require('../simulation.js');
+
+const { DEBT } = Simulation;
+
+test('bonds raise cash now and cost interest every year after', () => {
+    const state = Simulation.createInitialState({ seed: 6 });
+    const borrowed = Simulation.applyActions(state, [{ type: 'issueBonds' }]).state;
+
+    assert.strictEqual(borrowed.debt, DEBT.BOND_SIZE);
+    assert.strictEqual(borrowed.budget, state.budget + DEBT.BOND_SIZE);
+
+    const interest = Simulation.calculateBudgetItems(borrowed).find(item => item.id === 'interest');
+    assert.strictEqual(interest.amount, -Math.round(DEBT.BOND_SIZE * Simulation.getInterestRate(borrowed)));
+
+    const repaid = Simulation.applyActions(borrowed, [{ type: 'payDebt' }]).state;
+    assert.strictEqual(repaid.debt, 0);
+    assert.strictEqual(repaid.budget, state.budget);
+});
+
+test('an emergency loan caps public services until austerity ends', () => {
+    const state = Simulation.createInitialState({ seed: 6 });
+    const result = Simulation.applyActions(state, [
+        { type: 'takeEmergencyLoan' },
+        { type: 'setSpending', service: 'healthcare', level: 150 },
+        { type: 'takeEmergencyLoan' }
+    ]);
+
+    assert.strictEqual(result.state.debt, DEBT.EMERGENCY_LOAN);
+    assert.strictEqual(result.state.austerityUntil, state.year + DEBT.AUSTERITY_YEARS);
+    Simulation.FISCAL.SPENDING.forEach(service => {
+        assert.ok(result.state.fiscal.spending[service.id] <= DEBT.AUSTERITY_FUNDING, service.id);
+    });
+});
+
+test('years in a row overdrawn downgrade the rating and end in default', () => {
+    const overdrawn = { ...Simulation.createInitialState({ seed: 6 }), budget: -100000 };
+    const run = Simulation.runYears(overdrawn, DEBT.MISSED_PAYMENTS + 2);
+    const missed = run.events.filter(event => event.type === 'notification' && event.message.startsWith('⚠️ Missed debt payment'));
+    const defaulted = Simulation.FAILURE_CONDITIONS.find(condition => condition.id === 'default');
+
+    assert.strictEqual(missed.length, DEBT.MISSED_PAYMENTS);
+    assert.strictEqual(run.state.year, overdrawn.year + DEBT.MISSED_PAYMENTS);
+    assert.strictEqual(run.state.gameOver, defaulted.reason);
+    assert.strictEqual(run.state.creditRating, DEBT.RATINGS[DEBT.RATINGS.length - 1].id);
+});
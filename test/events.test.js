@@ -0,0 +1,87 @@
+// The event engine: random draws, scenario weights, follow-ups and decisions
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require('../simulation.js');
+
+// How often each event happened over `years` of every run (createInitialState options)
+function countEvents(runs, years) {
+    const counts = {};
+    runs.forEach(options => {
+        const run = Simulation.runYears(Simulation.createInitialState(options), years);
+        run.events
+            .filter(event => event.type === 'randomEvent')
+            .forEach(event => {
+                counts[event.name] = (counts[event.name] || 0) + 1;
+            });
+    });
+    return counts;
+}
+
+test('free play draws random events', () => {
+    const counts = countEvents([1, 2, 3].map(seed => ({ difficulty: 'easy', seed: seed })), 12);
+    assert.ok(Object.keys(counts).length > 0);
+});
+
+test('scenarios reweigh the events they draw', () => {
+    const scenario = Simulation.getScenario('stormSeason');
+    const counts = countEvents([{ scenario: scenario.id }], scenario.years);
+
+    assert.ok(counts['Natural Disaster'] > 0);
+    assert.strictEqual(counts['Economic Boom'], undefined);
+});
+
+test('a follow-up fires on schedule and its lasting effects run their course', () => {
+    const start = Simulation.createInitialState({ seed: 3 });
+    const state = { ...start, scheduledEvents: [{ event: 'reconstruction', year: start.year + 1 }] };
+    const reconstruction = Simulation.getRandomEvent('reconstruction');
+    const years = Simulation.runYears(state, reconstruction.lasting.years + 2).state.history.slice(1);
+
+    assert.ok(years[0].events.includes(reconstruction.name));
+    years.forEach((record, index) => {
+        const cost = record.budgetItems.find(item => item.id === 'event.reconstruction');
+        const lasting = index >= 1 && index <= reconstruction.lasting.years;
+        assert.strictEqual(cost ? cost.amount : 0, lasting ? reconstruction.lasting.effects.budget : 0, String(record.year));
+    });
+});
+
+test('events wait out their cooldowns', () => {
+    [1, 2, 3, 4].forEach(seed => {
+        const lastDrawn = {};
+        Simulation.runYears(Simulation.createInitialState({ difficulty: 'easy', seed: seed }), 30).events
+            .filter(event => event.type === 'randomEvent')
+            .forEach(event => {
+                const definition = Simulation.RANDOM_EVENTS.find(candidate => candidate.name === event.name);
+                if (lastDrawn[event.name] !== undefined) {
+                    assert.ok(event.year - lastDrawn[event.name] >= (definition.cooldown || 0), `${event.name} in ${event.year}`);
+                }
+                lastDrawn[event.name] = event.year;
+            });
+    });
+});
+
+// A year in which the refugee crisis comes up for a decision
+function facingCrisis() {
+    const start = Simulation.createInitialState({ seed: 3 });
+    return Simulation.simulateYear({ ...start, scheduledEvents: [{ event: 'refugeeCrisis', year: start.year + 1 }] }).state;
+}
+
+test('a decision waits for the player and its choice is logged', () => {
+    const state = facingCrisis();
+    assert.deepStrictEqual(state.pendingDecision, { event: 'refugeeCrisis', year: state.year });
+
+    const chosen = Simulation.applyActions(state, [{ type: 'chooseOption', option: 0 }]);
+    const option = Simulation.getRandomEvent('refugeeCrisis').options[0];
+    assert.strictEqual(chosen.state.pendingDecision, null);
+    assert.deepStrictEqual(chosen.state.decisions, [{ year: state.year, event: 'refugeeCrisis', option: 0 }]);
+    assert.ok(chosen.events.some(event => event.type === 'immigrants' && event.policy === option.arrivals.policy));
+    assert.ok(chosen.state.lastingEffects.some(lasting => lasting.event === 'refugeeCrisis' && lasting.yearsLeft === option.lasting.years));
+});
+
+test('an unanswered decision takes its default option when the year turns', () => {
+    const state = facingCrisis();
+    const next = Simulation.simulateYear(state).state;
+    const event = Simulation.getRandomEvent('refugeeCrisis');
+
+    assert.strictEqual(next.decisions[0].option, event.defaultOption);
+    assert.notDeepStrictEqual(next.pendingDecision, state.pendingDecision);
+});
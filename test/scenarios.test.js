@@ -0,0 +1,84 @@
+// Scenarios and their objectives, free-play victories and the run summary
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require('../simulation.js');
+
+// The scenario's nation in the year before its deadline
+function atDeadline(scenarioId, overrides = {}) {
+    const scenario = Simulation.getScenario(scenarioId);
+    const state = Simulation.createInitialState({ scenario: scenarioId });
+    return { ...state, year: Simulation.getScenarioDeadline(scenario) - 1, scheduledEvents: [], ...overrides };
+}
+
+test('a scenario starts from its own nation', () => {
+    const boomtown = Simulation.createInitialState({ scenario: 'boomtown' });
+    assert.strictEqual(boomtown.budget, 40000);
+    assert.strictEqual(boomtown.policies.skilledWorker, 20);
+    assert.strictEqual(boomtown.scenarioStatus, 'active');
+    assert.deepStrictEqual(Simulation.createInitialState({ scenario: 'boomtown' }), boomtown);
+
+    const storms = Simulation.createInitialState({ scenario: 'stormSeason' });
+    assert.deepStrictEqual(storms.scheduledEvents, [{ event: 'refugeeCrisis', year: storms.year + 2 }]);
+});
+
+test('breaking a keep objective fails the scenario', () => {
+    const state = Simulation.createInitialState({ scenario: 'firstSteps' });
+    const { state: next, events } = Simulation.simulateYear({ ...state, happiness: 20 });
+
+    assert.strictEqual(next.scenarioStatus, 'failed');
+    assert.strictEqual(next.gameOver, '🎯 Scenario failed! Objective missed: Keep happiness at least 40%');
+    assert.ok(events.some(event => event.type === 'gameOver' && event.reason === next.gameOver));
+});
+
+test('a scenario of keep objectives only is won at its deadline, and play goes on', () => {
+    const { state, events } = Simulation.simulateYear(atDeadline('stormSeason', { happiness: 80 }));
+
+    assert.strictEqual(state.scenarioStatus, 'won');
+    assert.strictEqual(state.gameOver, null);
+    assert.deepStrictEqual(state.victory, { name: 'Storm Season complete', icon: '🌪️', year: state.year });
+    assert.ok(events.some(event => event.type === 'scenarioComplete' && event.scenario === 'stormSeason'));
+
+    const after = Simulation.simulateYear(state).state;
+    assert.strictEqual(after.scenarioStatus, 'won');
+    assert.strictEqual(after.year, state.year + 1);
+});
+
+test('goals still unmet at the deadline run out of time', () => {
+    const { state } = Simulation.simulateYear(atDeadline('firstSteps'));
+
+    assert.strictEqual(state.scenarioStatus, 'failed');
+    assert.strictEqual(state.gameOver, '⌛ Out of time! First Steps needed: Population at least 1,300');
+});
+
+test('free play is won by the first victory condition met', () => {
+    const state = Simulation.createInitialState({ seed: 5 });
+    const { state: next, events } = Simulation.simulateYear({ ...state, gdp: 200000, happiness: 95 });
+
+    assert.deepStrictEqual(next.victory, { name: 'Prosperity for All', icon: '💎', year: next.year });
+    assert.strictEqual(next.gameOver, null);
+    assert.strictEqual(events.filter(event => event.type === 'victory').length, 1);
+
+    const later = Simulation.simulateYear(next);
+    assert.deepStrictEqual(later.state.victory, next.victory);
+    assert.ok(!later.events.some(event => event.type === 'victory'));
+});
+
+test('the run summary grades the run and keeps a win after a collapse', () => {
+    const start = Simulation.createInitialState({ seed: 5 });
+    const ongoing = Simulation.runYears(start, 3).state;
+    const summary = Simulation.summarizeRun(ongoing);
+
+    assert.strictEqual(summary.outcome, 'ongoing');
+    assert.strictEqual(summary.years, 3);
+    assert.strictEqual(summary.breakdown.victory, 0);
+    assert.strictEqual(summary.points, Object.values(summary.breakdown).reduce((sum, points) => sum + points, 0));
+    assert.strictEqual(summary.grade, Simulation.GRADING.GRADES.find(grade => summary.points >= grade.min).grade);
+    assert.deepStrictEqual(summary.turningPoints.map(point => point.year), [start.year + 1, start.year + 2, start.year + 3]);
+
+    const won = Simulation.simulateYear({ ...start, gdp: 200000, happiness: 95 }).state;
+    assert.strictEqual(Simulation.summarizeRun(won).outcome, 'victory');
+
+    const collapsed = Simulation.summarizeRun({ ...won, gameOver: '💔 Your nation collapsed due to extreme unhappiness!' });
+    assert.strictEqual(collapsed.outcome, 'defeat');
+    assert.strictEqual(collapsed.breakdown.victory, Simulation.GRADING.VICTORY);
+});
@@ -0,0 +1,245 @@
+// Headless regression tests for simulation.js. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require('../simulation.js');
+
+// A few years of the same policy choices, as a player might make them
+function playSeed(seed, difficulty = 'medium') {
+    const state = Simulation.createInitialState({ difficulty: difficulty, seed: seed });
+    return Simulation.runYears(state, 12, current => current.year === Simulation.SIM_CONFIG.START_YEAR
+        ? [{ type: 'togglePolicy', policy: 'family' }, { type: 'togglePolicy', policy: 'language' }]
+        : []).state;
+}
+
+// What a state looks like once written to a save file
+function asSaved(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+// The oldest save format: boolean policies and no history
+function createVersion1Save() {
+    const layout = Simulation.createInitialState({ seed: 3 }).buildings;
+    return {
+        format: 'nation-builder-vr-save',
+        version: 1,
+        name: 'Old game',
+        savedAt: 0,
+        sim: {
+            difficulty: 'medium', seed: 3, rngState: 3, year: 2026,
+            population: 1000, gdp: 55000, happiness: 70, unemployment: 5, budget: 15000, score: 10,
+            achievements: [], gameOver: null, refugeeProgramStarted: null,
+            policies: { openBorders: false, skilledWorker: true, refugee: false, family: false, investor: false, strict: false }
+        },
+        world: { buildings: layout.map(({ id, vacantSince, ...building }) => building), people: [] }
+    };
+}
+
+test('the same seed and choices give the same run', () => {
+    assert.deepStrictEqual(playSeed(12345), playSeed(12345));
+    assert.notDeepStrictEqual(playSeed(12345).history, playSeed(54321).history);
+});
+
+test('seed codes round-trip', () => {
+    const code = Simulation.encodeSeedCode(12345, 'hard');
+    assert.deepStrictEqual(Simulation.decodeSeedCode(code), { seed: 12345, difficulty: 'hard' });
+});
+
+test('a saved game loads back unchanged and plays on identically', () => {
+    const sim = playSeed(777);
+    const save = JSON.parse(JSON.stringify(Simulation.createSaveFile(sim, { people: [] }, 'Slot 1')));
+    const loaded = Simulation.readSaveFile(save);
+
+    assert.strictEqual(loaded.version, Simulation.SAVE_VERSION);
+    assert.deepStrictEqual(loaded.sim, asSaved(sim));
+    assert.deepStrictEqual(asSaved(Simulation.simulateYear(loaded.sim).state), asSaved(Simulation.simulateYear(sim).state));
+});
+
+test('a version 1 save migrates to the current version and plays', () => {
+    const save = Simulation.readSaveFile(createVersion1Save());
+
+    assert.strictEqual(save.version, Simulation.SAVE_VERSION);
+    assert.strictEqual(save.sim.policies.skilledWorker, Simulation.getDefaultLevel(Simulation.getPolicy('skilledWorker')));
+    assert.strictEqual(Simulation.simulateYear(save.sim).state.year, 2027);
+});
+
+test('saves from a newer version are refused', () => {
+    const save = Simulation.createSaveFile(playSeed(1), { people: [] }, 'Future');
+    save.version = Simulation.SAVE_VERSION + 1;
+    assert.throws(() => Simulation.readSaveFile(save), /only reads up to version/);
+});
+
+test('broken saves of every version are reported as corrupt', () => {
+    const breakages = {
+        'no policies': save => { save.sim.policies = null; },
+        'no world': save => { delete save.world; },
+        'an empty game': save => { save.sim = {}; },
+        'no GDP': save => { delete save.sim.gdp; }
+    };
+
+    for (let version = 1; version <= Simulation.SAVE_VERSION; version++) {
+        Object.keys(breakages).forEach(name => {
+            const save = version === 1 ? createVersion1Save() : asSaved(Simulation.createSaveFile(playSeed(5), { people: [] }, 'Broken'));
+            save.version = version;
+            breakages[name](save);
+            assert.throws(() => Simulation.readSaveFile(save), /^Error: Save file is corrupt: /, `version ${version}, ${name}`);
+        });
+    }
+});
+
+test('the timeline exports one CSV row per year', () => {
+    const sim = playSeed(777);
+    const lines = Simulation.timelineToCSV(sim).split('\r\n');
+    const header = lines[0].split(',');
+    const familyColumn = header.indexOf('policy_family');
+
+    assert.deepStrictEqual(header.slice(0, 2), ['year', 'population']);
+    assert.strictEqual(lines.length, sim.history.length + 1);
+    lines.slice(1).forEach((line, i) => {
+        const record = sim.history[i];
+        assert.ok(line.startsWith(`${record.year},${record.population},`), line);
+        assert.strictEqual(line.split(',')[familyColumn], String(record.policyLevels.family || 0));
+    });
+});
+
+test('the timeline exports as JSON with the seed and every year', () => {
+    const sim = playSeed(777);
+    const timeline = JSON.parse(Simulation.timelineToJSON(sim));
+
+    assert.strictEqual(timeline.format, 'nation-builder-vr-timeline');
+    assert.deepStrictEqual(Simulation.decodeSeedCode(timeline.seedCode), { seed: sim.seed, difficulty: sim.difficulty });
+    assert.deepStrictEqual(timeline.years, asSaved(sim.history));
+    assert.strictEqual(timeline.decisions.length, sim.decisions.length);
+});
+
+test('a run that collapses after winning ends in defeat', () => {
+    const won = Simulation.runYears(Simulation.createInitialState({ seed: 1 }), 25, current =>
+        current.year === Simulation.SIM_CONFIG.START_YEAR ? [{ type: 'togglePolicy', policy: 'family' }] : []).state;
+    assert.ok(won.victory);
+    assert.strictEqual(Simulation.summarizeRun(won).outcome, 'victory');
+
+    const collapsed = { ...won, gameOver: '💔 Your nation collapsed due to extreme unhappiness!' };
+    assert.strictEqual(Simulation.summarizeRun(collapsed).outcome, 'defeat');
+});
+
+test('a nation left to itself never wins', () => {
+    ['easy', 'medium', 'hard'].forEach(difficulty => {
+        [1, 7, 42].forEach(seed => {
+            const run = Simulation.runYears(Simulation.createInitialState({ difficulty: difficulty, seed: seed }), 40, () => []);
+            assert.strictEqual(run.state.victory, null, `${difficulty}, seed ${seed}`);
+        });
+    });
+});
+
+test('a full city is announced once until lots free up', () => {
+    const run = Simulation.runYears(Simulation.createInitialState({ difficulty: 'easy', seed: 3 }), 40, current =>
+        current.year === Simulation.SIM_CONFIG.START_YEAR
+            ? [{ type: 'togglePolicy', policy: 'family' }, { type: 'togglePolicy', policy: 'skilledWorker' }]
+            : []);
+    const notices = run.events.filter(event => event.type === 'notification' && event.message.startsWith('🏗️ No free lots'));
+
+    assert.ok(run.state.cityFull);
+    assert.ok(run.events.every(event => event.type !== 'buildingDemolished'));
+    assert.strictEqual(notices.length, 1);
+});
+
+test('previewing a conflicting policy shows its cost instead of a refusal', () => {
+    const state = Simulation.applyActions(Simulation.createInitialState({ seed: 2 }), [{ type: 'togglePolicy', policy: 'family' }]).state;
+    const preview = Simulation.previewActions(state, [{ type: 'togglePolicy', policy: 'strict' }]);
+
+    assert.strictEqual(preview.refused, null);
+    assert.notDeepStrictEqual(preview.changed, preview.current);
+
+    const blocked = Simulation.applyActions(state, [{ type: 'togglePolicy', policy: 'openBorders' }]).state;
+    assert.match(Simulation.previewActions(blocked, [{ type: 'togglePolicy', policy: 'strict' }]).refused, /Can't enable Strict Control/);
+});
+
+test('previewing a launch the budget cannot cover shows the refusal and no change', () => {
+    const state = { ...Simulation.createInitialState({ seed: 2 }), budget: 0 };
+    const preview = Simulation.previewActions(state, [{ type: 'togglePolicy', policy: 'refugee' }]);
+
+    assert.match(preview.refused, /^Insufficient Budget! Need \$/);
+    assert.deepStrictEqual(preview.changed, preview.current);
+    assert.strictEqual(preview.now.year, state.year);
+    assert.strictEqual(preview.current.year, state.year + 1);
+});
+
+// A state whose term ends this coming year, so the next year holds an election
+function callElection(state, happiness) {
+    return { ...state, happiness: happiness, term: { ...state.term, start: state.year + 1 - Simulation.ELECTIONS.TERM, gdp: state.gdp } };
+}
+
+test('a lapsing coalition deal goes through the usual checks to restore a policy', () => {
+    const start = Simulation.applyActions(Simulation.createInitialState({ seed: 4 }), [{ type: 'togglePolicy', policy: 'strict' }]).state;
+    // The Open Society Party took Strict Control off as its price
+    const dealt = {
+        ...start,
+        policies: { ...start.policies, strict: 0 },
+        coalition: { partner: 'openSociety', since: start.year, concessions: { strict: 1 } }
+    };
+
+    const restored = Simulation.simulateYear(callElection(dealt, 100));
+    assert.strictEqual(restored.state.elections[0].outcome, 'majority');
+    assert.strictEqual(restored.state.coalition, null);
+    assert.strictEqual(restored.state.policies.strict, 1);
+    assert.ok(restored.state.oneOffItems.some(item => item.id === 'launch.strict'));
+
+    const opened = Simulation.applyActions(dealt, [{ type: 'togglePolicy', policy: 'openBorders' }]).state;
+    const refused = Simulation.simulateYear(callElection(opened, 100));
+    assert.strictEqual(refused.state.coalition, null);
+    assert.strictEqual(refused.state.policies.strict, 0);
+    assert.ok(refused.state.policies.openBorders > 0);
+    assert.ok(refused.events.some(event => event.type === 'notification' && event.message.startsWith('↩️ Strict Control stays off')));
+});
+
+test('a coalition renewed with the same partner keeps its deal without paying again', () => {
+    const start = Simulation.applyActions(Simulation.createInitialState({ seed: 4 }), [{ type: 'togglePolicy', policy: 'refugee' }]).state;
+    const coalition = { partner: 'heritage', since: start.year, concessions: { refugee: 1 } };
+    const dealt = { ...start, policies: { ...start.policies, refugee: 0 }, coalition: coalition };
+
+    const renewed = Simulation.simulateYear(callElection(dealt, 50)).state;
+    assert.strictEqual(renewed.elections[0].outcome, 'coalition');
+    assert.strictEqual(renewed.coalition, coalition);
+    assert.strictEqual(renewed.policies.refugee, 0);
+    assert.ok(renewed.oneOffItems.every(item => !item.id.startsWith('launch.')));
+});
+
+test('governing in a coalition costs happiness', () => {
+    const state = Simulation.createInitialState({ seed: 4 });
+    const alone = Simulation.simulateYear(state, [], true).state;
+    const shared = Simulation.simulateYear({ ...state, coalition: { partner: 'heritage', since: state.year, concessions: {} } }, [], true).state;
+
+    assert.strictEqual(alone.happiness - shared.happiness, Simulation.ELECTIONS.COALITION_UNREST);
+});
+
+test('approval adds up its factors, and switching a policy back again costs votes', () => {
+    const state = Simulation.createInitialState({ seed: 4 });
+    const approval = Simulation.getApproval(state);
+    assert.strictEqual(approval.share, approval.factors.reduce((sum, factor) => sum + factor.points, 0));
+
+    const toggle = { type: 'togglePolicy', policy: 'family' };
+    const flipped = Simulation.applyActions(state, [toggle, toggle]).state;
+    const flipFlops = Simulation.getApproval(flipped).factors.find(factor => factor.id === 'flipFlops');
+    assert.strictEqual(flipFlops.points, -Simulation.ELECTIONS.APPROVAL.FLIP_FLOP);
+});
+
+test('losing an election ends the run', () => {
+    const { state, events } = Simulation.simulateYear(callElection(Simulation.createInitialState({ seed: 4 }), 10));
+
+    assert.strictEqual(state.elections[0].outcome, 'defeat');
+    assert.strictEqual(state.gameOver, '🗳️ Voted out! The government lost the election!');
+    assert.ok(events.some(event => event.type === 'election' && event.outcome === 'defeat'));
+});
+
+test('a coalition partner locks its demands until the next election', () => {
+    const state = Simulation.simulateYear(callElection(Simulation.createInitialState({ seed: 4 }), 45)).state;
+    const result = state.elections[0];
+
+    assert.strictEqual(result.outcome, 'coalition');
+    assert.strictEqual(state.coalition.partner, result.partner);
+    assert.strictEqual(state.term.start, state.year);
+
+    const locked = Object.keys(Simulation.getParty(result.partner).demands)[0];
+    const attempt = Simulation.applyActions(state, [{ type: 'togglePolicy', policy: locked }]);
+    assert.deepStrictEqual(attempt.state.policies, state.policies);
+    assert.match(attempt.events.find(event => event.type === 'policyRefused').message, /^🔒 The coalition with the /);
+});